@@ -6,55 +6,200 @@ if (!gl) {
     throw new Error('WebGL not supported');
 }
 
-// Print controls
+// Controls legend, printed at startup and shown in the settings panel
+const CONTROLS = [
+    '← → : Rotate camera around islands',
+    '↑ ↓ : Zoom in/out',
+    'Q/E : Pan camera left/right',
+    'Drag : Orbit (Shift+drag or right-drag pans), wheel zooms',
+    'Touch : One finger pans, two fingers orbit and pinch-zoom',
+    'C : Toggle orbit / free-fly camera (fly: click to capture the mouse,',
+    '    WASD move, Q/E down/up, arrows turn)',
+    'P : Fly to the next camera preset',
+    'Space : Pause/resume, N : Single step while paused',
+    ', / . : Halve / double the time scale',
+    'K : Add a camera path keyframe, L : Play/stop the path, J : Cycle once/loop/ping-pong',
+    'Ctrl+Shift+S : Save the camera path as JSON (drop it on the canvas to load)',
+    'F : Toggle fullscreen',
+    'X : Toggle post-processing (bloom, tone mapping, vignette, FXAA)',
+    'O : Toggle the debug overlay (stats, shadow map, frustums, bounds, normals, wireframe)',
+    'H : Show/hide the settings panel (saved in this browser)',
+    'G : Save a PNG screenshot at twice the canvas size',
+    'V : Record a 360° turntable WebM (V again stops)',
+    '    PNG sequences: scene.recordFrames({ frames: 240, fps: 30, width: 1920, height: 1080 })',
+    'A/D : Rotate spotlight (changes shadows)',
+    'R : Regenerate islands with a new seed',
+    'I : Toggle the endless archipelago streamed around the camera (fly through it with C)',
+    '[ / ] : Slow down / speed up the day',
+    'T : Jump to the next dawn, noon, dusk or midnight',
+    'W : Cycle weather (clear, rain, snow)',
+    'Click : Select an island or vegetation piece (Esc to clear)',
+    'B : Toggle edit mode (click an island top to place, drag to move,',
+    '    1/2/3 tree/bush/boulder, +/- scale, Delete removes, Ctrl+Z/Ctrl+Y undo/redo)',
+    'Ctrl+S : Save scene as JSON',
+    'Ctrl+E : Export the islands as glTF binary (.glb), Ctrl+Shift+E as OBJ/MTL',
+    '    Embedded .gltf: scene.exportGLTF({ binary: false })',
+    'Drop a .json file on the canvas : Load scene',
+    'Drop a .glb/.gltf/.obj file on the canvas : Register it as a vegetation type named after the file',
+    '    From a URL: scene.loadVegetationModel(\'pine\', \'models/pine.glb\', { height: 0.8 })'
+];
 console.log('CONTROLS:');
-console.log('← → : Rotate camera around islands');
-console.log('↑ ↓ : Zoom in/out');
-console.log('Q/E : Move camera left/right on X axis');
-console.log('A/D : Rotate spotlight (changes shadows)');
+CONTROLS.forEach(line => console.log(line));
+
+// Wind bending shared by the main and shadow vertex stages, so shadows
+// sway with what casts them. uWind holds the direction (x, z), strength
+// and gustiness; a piece's wind vector holds its bend (lean per unit of
+// height above the ground), flutter (foliage shake), phase and the world
+// height of the ground it stands on. Islands pass zeros and stay rigid.
+const windShaderChunk = `
+    uniform vec4 uWind;
+    uniform float uWindTurbulence;
+    uniform float uTime;
+    
+    vec3 applyWind(vec3 position, vec4 wind) {
+        if (wind.x == 0.0 && wind.y == 0.0) {
+            return position;
+        }
+        vec2 direction = uWind.xy;
+        float strength = uWind.z;
+        
+        // Gusts roll across the islands along the wind direction
+        float wave = dot(position.xz, direction) * 0.4 - uTime * 1.5;
+        float gust = 1.0 + uWind.w * (0.6 * sin(wave) + 0.4 * sin(wave * 2.7 + 1.3));
+        
+        // Lean downwind, rocking around the lean, more the higher up
+        float height = max(position.y - wind.w, 0.0);
+        float lean = strength * gust * (0.6 + 0.4 * sin(uTime * 2.0 + wind.z));
+        vec3 offset = vec3(direction.x, 0.0, direction.y) * lean * wind.x * height;
+        
+        // Leaves shake in every direction
+        float t = uTime * 9.0 + wind.z;
+        offset += uWindTurbulence * strength * gust * wind.y * 0.04 * vec3(
+            sin(t + position.x * 7.0), 0.5 * sin(t * 1.3 + position.y * 7.0), cos(t * 1.1 + position.z * 7.0));
+        return position + offset;
+    }
+`;
 
 // Shader programs
+// Programs compiled with INSTANCED defined take the model matrix and
+// material from per-instance attributes (ANGLE_instanced_arrays) instead
+// of uniforms; aInstanceColor tints the vertex colors and already includes
+// the material's diffuse tint.
+// Attribute slots the INSTANCED main program takes (the mat4 takes four).
+// WebGL only guarantees 8, so contexts with fewer draw one piece at a time.
+const INSTANCED_ATTRIBUTE_SLOTS = 11;
+
 const vertexShaderSource = `
     attribute vec3 aPosition;
     attribute vec3 aNormal;
     attribute vec3 aColor;
     
+    #ifdef INSTANCED
+    attribute mat4 aInstanceMatrix;
+    attribute vec3 aInstanceColor;
+    attribute vec2 aInstanceSpecular; // Strength, shininess
+    attribute vec3 aInstanceEmissive;
+    attribute vec4 aInstanceWind;
+    #else
     uniform mat4 uModelMatrix;
+    uniform mat3 uNormalMatrix;
+    uniform vec3 uDiffuse;
+    uniform vec2 uSpecular;           // Strength, shininess
+    uniform vec3 uEmissive;
+    uniform vec4 uObjectWind;
+    #endif
     uniform mat4 uViewMatrix;
     uniform mat4 uProjectionMatrix;
     uniform mat4 uLightViewMatrix;
     uniform mat4 uLightProjectionMatrix;
-    uniform vec3 uLightPosition;
     
     varying vec3 vNormal;
     varying vec3 vColor;
     varying vec3 vFragPos;
-    varying vec3 vLightPos;
     varying vec4 vLightSpacePos;
-    
+    varying vec2 vSpecular;
+    varying vec3 vEmissive;
+    ${windShaderChunk}
     void main() {
-        vec4 worldPosition = uModelMatrix * vec4(aPosition, 1.0);
+        #ifdef INSTANCED
+        mat4 modelMatrix = aInstanceMatrix;
+        // Cofactor matrix = inverse transpose up to scale, which the
+        // fragment shader normalizes away anyway
+        mat3 m = mat3(modelMatrix);
+        mat3 normalMatrix = mat3(cross(m[1], m[2]), cross(m[2], m[0]), cross(m[0], m[1]));
+        vColor = aColor * aInstanceColor;
+        vSpecular = aInstanceSpecular;
+        vEmissive = aInstanceEmissive;
+        vec4 wind = aInstanceWind;
+        #else
+        mat4 modelMatrix = uModelMatrix;
+        mat3 normalMatrix = uNormalMatrix;
+        vColor = aColor * uDiffuse;
+        vSpecular = uSpecular;
+        vEmissive = uEmissive;
+        vec4 wind = uObjectWind;
+        #endif
+        
+        vec4 worldPosition = modelMatrix * vec4(aPosition, 1.0);
+        worldPosition.xyz = applyWind(worldPosition.xyz, wind);
         vFragPos = worldPosition.xyz;
-        vNormal = mat3(uModelMatrix) * aNormal;
-        vColor = aColor;
-        vLightPos = uLightPosition;
+        vNormal = normalMatrix * aNormal;
         
         vLightSpacePos = uLightProjectionMatrix * uLightViewMatrix * worldPosition;
         gl_Position = uProjectionMatrix * uViewMatrix * worldPosition;
     }
 `;
 
+// Lights the main shader can loop over; uLightType holds Light.typeIndex
+const MAX_LIGHTS = 4;
+
 const fragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
     precision mediump float;
+    #endif
+    
+    #define MAX_LIGHTS ${MAX_LIGHTS}
+    #define LIGHT_DIRECTIONAL 0
+    #define LIGHT_POINT 1
+    #define LIGHT_SPOT 2
     
     varying vec3 vNormal;
     varying vec3 vColor;
     varying vec3 vFragPos;
-    varying vec3 vLightPos;
     varying vec4 vLightSpacePos;
+    varying vec2 vSpecular;
+    varying vec3 vEmissive;
+    
+    uniform vec3 uCameraPosition;
+    uniform vec3 uAmbientColor;
+    uniform vec3 uFogColor;
+    uniform float uFogDensity;
+    uniform int uLightCount;
+    uniform int uLightType[MAX_LIGHTS];
+    uniform vec3 uLightPosition[MAX_LIGHTS];
+    uniform vec3 uLightDirection[MAX_LIGHTS];   // Where the light points
+    uniform vec3 uLightColor[MAX_LIGHTS];       // Color times intensity
+    uniform vec3 uLightAttenuation[MAX_LIGHTS]; // Constant, linear, quadratic
+    uniform vec2 uLightCone[MAX_LIGHTS];        // cos(inner), cos(outer)
+    uniform int uShadowLight;                   // Light using uShadowMap, -1 for none
     
     uniform sampler2D uShadowMap;
     uniform float uShadowBias;
+    uniform vec2 uShadowMapSize;
+    uniform bool uShadowDepthTexture;
+    
+    // Inverse of packDepth() in the shadow fragment shader
+    float unpackDepth(vec4 rgba) {
+        return dot(rgba, vec4(1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0));
+    }
+    
+    float readShadowDepth(sampler2D shadowMap, vec2 uv) {
+        vec4 texel = texture2D(shadowMap, uv);
+        // A depth texture stores depth directly in the red channel
+        return uShadowDepthTexture ? texel.r : unpackDepth(texel);
+    }
     
     float calculateShadow(vec4 lightSpacePos, sampler2D shadowMap, float bias) {
         // Perspective divide
@@ -62,21 +207,20 @@ const fragmentShaderSource = `
         // Transform to [0,1] range
         projCoords = projCoords * 0.5 + 0.5;
         
-        if (projCoords.z > 1.0) {
+        // Outside the light frustum nothing is shadowed
+        if (projCoords.z > 1.0 || projCoords.x < 0.0 || projCoords.x > 1.0 ||
+            projCoords.y < 0.0 || projCoords.y > 1.0) {
             return 0.0;
         }
         
-        float closestDepth = texture2D(shadowMap, projCoords.xy).r;
         float currentDepth = projCoords.z;
-        
-        // Simple shadow calculation
-        float shadow = currentDepth - bias > closestDepth ? 0.5 : 0.0;
+        float shadow = 0.0;
         
         // Apply soft shadows with PCF
-        vec2 texelSize = 1.0 / vec2(1024.0, 1024.0);
+        vec2 texelSize = 1.0 / uShadowMapSize;
         for(int x = -1; x <= 1; ++x) {
             for(int y = -1; y <= 1; ++y) {
-                float pcfDepth = texture2D(shadowMap, projCoords.xy + vec2(x, y) * texelSize).r;
+                float pcfDepth = readShadowDepth(shadowMap, projCoords.xy + vec2(x, y) * texelSize);
                 shadow += currentDepth - bias > pcfDepth ? 0.5 : 0.0;
             }
         }
@@ -87,28 +231,53 @@ const fragmentShaderSource = `
     
     void main() {
         vec3 normal = normalize(vNormal);
-        vec3 lightDir = normalize(vLightPos - vFragPos);
+        vec3 viewDir = normalize(uCameraPosition - vFragPos);
         
         // Ambient
-        float ambientStrength = 0.2;
-        vec3 ambient = ambientStrength * vColor;
-        
-        // Diffuse
-        float diff = max(dot(normal, lightDir), 0.0);
-        vec3 diffuse = diff * vColor;
-        
-        // Simple specular
-        vec3 viewDir = normalize(-vFragPos);
-        vec3 reflectDir = reflect(-lightDir, normal);
-        float spec = pow(max(dot(viewDir, reflectDir), 0.0), 32.0);
-        vec3 specular = 0.3 * spec * vec3(1.0);
+        vec3 lighting = uAmbientColor * vColor;
         
         // Shadow
-        float shadow = calculateShadow(vLightSpacePos, uShadowMap, uShadowBias);
+        float shadow = uShadowLight >= 0 ? calculateShadow(vLightSpacePos, uShadowMap, uShadowBias) : 0.0;
         
-        vec3 lighting = ambient + (1.0 - shadow) * (diffuse + specular);
+        for (int i = 0; i < MAX_LIGHTS; i++) {
+            if (i >= uLightCount) {
+                break;
+            }
+            
+            vec3 lightDir;
+            float attenuation = 1.0;
+            if (uLightType[i] == LIGHT_DIRECTIONAL) {
+                lightDir = -uLightDirection[i];
+            } else {
+                vec3 toLight = uLightPosition[i] - vFragPos;
+                float dist = length(toLight);
+                lightDir = toLight / dist;
+                vec3 att = uLightAttenuation[i];
+                attenuation = 1.0 / (att.x + att.y * dist + att.z * dist * dist);
+                
+                // Soft edge between the inner and outer cone
+                if (uLightType[i] == LIGHT_SPOT) {
+                    float theta = dot(-lightDir, uLightDirection[i]);
+                    attenuation *= smoothstep(uLightCone[i].y, uLightCone[i].x, theta);
+                }
+            }
+            
+            // Diffuse
+            float diff = max(dot(normal, lightDir), 0.0);
+            vec3 diffuse = diff * vColor;
+            
+            // Phong specular from the material
+            vec3 reflectDir = reflect(-lightDir, normal);
+            float spec = pow(max(dot(viewDir, reflectDir), 0.0), vSpecular.y);
+            vec3 specular = vSpecular.x * spec * vec3(1.0);
+            
+            float visibility = i == uShadowLight ? 1.0 - shadow : 1.0;
+            lighting += visibility * attenuation * uLightColor[i] * (diffuse + specular);
+        }
         
-        gl_FragColor = vec4(lighting, 1.0);
+        // Exponential distance fog towards the horizon color
+        float fog = exp(-uFogDensity * length(uCameraPosition - vFragPos));
+        gl_FragColor = vec4(mix(uFogColor, lighting + vEmissive, fog), 1.0);
     }
 `;
 
@@ -117,21 +286,450 @@ const shadowVertexShaderSource = `
     attribute vec3 aPosition;
     uniform mat4 uLightViewMatrix;
     uniform mat4 uLightProjectionMatrix;
+    #ifdef INSTANCED
+    attribute mat4 aInstanceMatrix;
+    attribute vec4 aInstanceWind;
+    #else
     uniform mat4 uModelMatrix;
-    
+    uniform vec4 uObjectWind;
+    #endif
+    ${windShaderChunk}
     void main() {
-        gl_Position = uLightProjectionMatrix * uLightViewMatrix * uModelMatrix * vec4(aPosition, 1.0);
+        #ifdef INSTANCED
+        mat4 modelMatrix = aInstanceMatrix;
+        vec4 wind = aInstanceWind;
+        #else
+        mat4 modelMatrix = uModelMatrix;
+        vec4 wind = uObjectWind;
+        #endif
+        
+        vec4 worldPosition = modelMatrix * vec4(aPosition, 1.0);
+        worldPosition.xyz = applyWind(worldPosition.xyz, wind);
+        gl_Position = uLightProjectionMatrix * uLightViewMatrix * worldPosition;
     }
 `;
 
 const shadowFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    
+    // Spread depth across the four 8-bit channels of the RGBA target
+    vec4 packDepth(float depth) {
+        const vec4 bitShift = vec4(256.0 * 256.0 * 256.0, 256.0 * 256.0, 256.0, 1.0);
+        const vec4 bitMask = vec4(0.0, 1.0 / 256.0, 1.0 / 256.0, 1.0 / 256.0);
+        vec4 rgba = fract(depth * bitShift);
+        rgba -= rgba.xxyz * bitMask;
+        return rgba;
+    }
+    
+    void main() {
+        gl_FragColor = packDepth(gl_FragCoord.z);
+    }
+`;
+
+// Seedable pseudo-random number generator (mulberry32)
+// Returns a function with the same contract as Math.random(), so every
+// procedural choice can be replayed from a single 32-bit seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Mix several integers into one seed so related generators
+// (e.g. one per island) get independent streams
+function hashSeed(...values) {
+    let hash = 0x811C9DC5;
+    values.forEach(value => {
+        hash = Math.imul(hash ^ (value >>> 0), 0x01000193);
+        hash ^= hash >>> 15;
+    });
+    return hash >>> 0;
+}
+
+// Accept numeric seeds as-is and hash anything else (e.g. "demo-day").
+// Takes numbers too, so scene files and callers can use either form.
+function parseSeed(value) {
+    const text = String(value);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Fresh seed for when none was requested
+function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Smooth 2D value noise in [-1, 1] on an integer lattice, seeded like
+// everything else so terrain can be regenerated exactly
+function createNoise2D(seed) {
+    const lattice = (ix, iy) => hashSeed(seed, ix, iy) / 4294967295 * 2 - 1;
+    
+    return function noise(x, y) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        
+        // Smoothstep fade between lattice values
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        
+        const a = lattice(ix, iy);
+        const b = lattice(ix + 1, iy);
+        const c = lattice(ix, iy + 1);
+        const d = lattice(ix + 1, iy + 1);
+        return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy;
+    };
+}
+
+// Sum of noise octaves, normalized back to roughly [-1, 1]
+function fractalNoise(noise, x, y, octaves = 4) {
+    let sum = 0;
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    for (let i = 0; i < octaves; i++) {
+        sum += noise(x * frequency, y * frequency) * amplitude;
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+// Fullscreen sky: gradient from horizon to zenith, a sun disc with glow
+// and twinkling stars once the sun is down
+const skyVertexShaderSource = `
+    attribute vec2 aPosition;
+    uniform mat4 uInverseViewProjection; // Rotation-only view
+    varying vec3 vDirection;
+    
+    void main() {
+        vec4 world = uInverseViewProjection * vec4(aPosition, 1.0, 1.0);
+        vDirection = world.xyz / world.w;
+        gl_Position = vec4(aPosition, 1.0, 1.0);
+    }
+`;
+
+const skyFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    
+    uniform vec3 uZenithColor;
+    uniform vec3 uHorizonColor;
+    uniform vec3 uSunDirection;
+    uniform vec3 uSunColor;
+    uniform float uStarVisibility;
+    uniform float uTime;
+    varying vec3 vDirection;
+    
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+    
+    void main() {
+        vec3 dir = normalize(vDirection);
+        float height = dir.y;
+        
+        // Gradient, fading to a darker haze below the horizon
+        vec3 color = mix(uHorizonColor, uZenithColor, sqrt(clamp(height, 0.0, 1.0)));
+        color = mix(color, uHorizonColor * 0.6, clamp(-height * 4.0, 0.0, 1.0));
+        
+        // Sun disc and glow
+        float cosAngle = dot(dir, uSunDirection);
+        float disc = smoothstep(0.9990, 0.9995, cosAngle);
+        float glow = pow(max(cosAngle, 0.0), 64.0) * 0.4;
+        color += uSunColor * (disc + glow);
+        
+        // Stars on a fine grid of directions
+        if (uStarVisibility > 0.0 && height > 0.0) {
+            vec3 cell = floor(dir * 150.0);
+            float star = step(0.997, hash(cell));
+            float twinkle = 0.6 + 0.4 * sin(uTime * 3.0 + hash(cell + 7.0) * 6.2831);
+            color += vec3(star * twinkle * uStarVisibility * smoothstep(0.0, 0.2, height));
+        }
+        
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Particles are simulated on the GPU: each vertex carries its spawn state
+// and the vertex shader evaluates position, size and color for the
+// particle's age. Quads are expanded in view space so they face the camera.
+const particleVertexShaderSource = `
+    attribute vec3 aPosition; // Spawn position (world)
+    attribute vec3 aVelocity;
+    attribute vec2 aCorner;   // Quad corner in [-1, 1]
+    attribute vec2 aLife;     // Spawn time, lifetime
+    
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    uniform vec3 uGravity;
+    uniform float uTime;
+    uniform vec2 uSize;       // Size at birth and at death
+    uniform vec4 uColors[4];  // Color over life, evenly spaced
+    
+    varying vec4 vColor;
+    varying vec2 vCorner;
+    varying float vDistance;
+    
+    void main() {
+        float age = uTime - aLife.x;
+        float t = age / aLife.y;
+        vCorner = aCorner;
+        vColor = vec4(0.0);
+        vDistance = 0.0;
+        
+        // Dead or not yet born: move outside the clip volume
+        if (t < 0.0 || t > 1.0) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+        
+        vec3 position = aPosition + aVelocity * age + 0.5 * uGravity * age * age;
+        vec4 viewPosition = uViewMatrix * vec4(position, 1.0);
+        viewPosition.xy += aCorner * mix(uSize.x, uSize.y, t) * 0.5;
+        
+        float stop = t * 3.0;
+        vColor = mix(uColors[0], uColors[1], clamp(stop, 0.0, 1.0));
+        vColor = mix(vColor, uColors[2], clamp(stop - 1.0, 0.0, 1.0));
+        vColor = mix(vColor, uColors[3], clamp(stop - 2.0, 0.0, 1.0));
+        
+        vDistance = length(viewPosition.xyz);
+        gl_Position = uProjectionMatrix * viewPosition;
+    }
+`;
+
+const particleFragmentShaderSource = `
+    precision mediump float;
+    
+    uniform vec3 uTint;       // Scene brightness, so particles darken at night
+    uniform vec3 uFogColor;
+    uniform float uFogDensity;
+    
+    varying vec4 vColor;
+    varying vec2 vCorner;
+    varying float vDistance;
+    
+    void main() {
+        // Soft round sprite
+        float alpha = vColor.a * (1.0 - smoothstep(0.4, 1.0, length(vCorner)));
+        if (alpha <= 0.0) {
+            discard;
+        }
+        
+        float fog = exp(-uFogDensity * vDistance);
+        gl_FragColor = vec4(mix(uFogColor, vColor.rgb * uTint, fog), alpha);
+    }
+`;
+
+// Post-processing passes draw a fullscreen quad reading the previous
+// result from uInput; uResolution is the size of the pass's output
+const postVertexShaderSource = `
+    attribute vec2 aPosition;
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = aPosition * 0.5 + 0.5;
+        gl_Position = vec4(aPosition, 0.0, 1.0);
+    }
+`;
+
+const postCopyFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    varying vec2 vUv;
+    
+    void main() {
+        gl_FragColor = vec4(texture2D(uInput, vUv).rgb, 1.0);
+    }
+`;
+
+// Keeps what is brighter than the threshold, fading in over a soft knee
+const bloomBrightFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uThreshold;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 color = texture2D(uInput, vUv).rgb;
+        float brightness = max(color.r, max(color.g, color.b));
+        gl_FragColor = vec4(color * smoothstep(uThreshold, uThreshold + 0.5, brightness), 1.0);
+    }
+`;
+
+// Separable 9-tap Gaussian; uDirection is one texel along x or y
+const bloomBlurFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform vec2 uDirection;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 sum = texture2D(uInput, vUv).rgb * 0.2270270270;
+        sum += texture2D(uInput, vUv + uDirection * 1.3846153846).rgb * 0.3162162162;
+        sum += texture2D(uInput, vUv - uDirection * 1.3846153846).rgb * 0.3162162162;
+        sum += texture2D(uInput, vUv + uDirection * 3.2307692308).rgb * 0.0702702703;
+        sum += texture2D(uInput, vUv - uDirection * 3.2307692308).rgb * 0.0702702703;
+        gl_FragColor = vec4(sum, 1.0);
+    }
+`;
+
+const bloomCompositeFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform sampler2D uBloom;
+    uniform float uIntensity;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 color = texture2D(uInput, vUv).rgb + texture2D(uBloom, vUv).rgb * uIntensity;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Exposure, then the ACES filmic curve (Narkowicz's fit)
+const toneMappingFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uExposure;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 x = texture2D(uInput, vUv).rgb * uExposure;
+        vec3 mapped = (x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14);
+        gl_FragColor = vec4(clamp(mapped, 0.0, 1.0), 1.0);
+    }
+`;
+
+const vignetteFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uStrength;
+    uniform float uRadius;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 color = texture2D(uInput, vUv).rgb;
+        float distance = length(vUv - 0.5) * 1.4142;
+        color *= 1.0 - uStrength * smoothstep(uRadius, 1.0, distance);
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// FXAA after Lottes, in its compact 5-tap form
+const fxaaFragmentShaderSource = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform vec2 uResolution;
+    varying vec2 vUv;
+    
+    #define FXAA_REDUCE_MIN (1.0 / 128.0)
+    #define FXAA_REDUCE_MUL (1.0 / 8.0)
+    #define FXAA_SPAN_MAX 8.0
+    
+    void main() {
+        vec2 texel = 1.0 / uResolution;
+        vec3 rgbNW = texture2D(uInput, vUv + vec2(-1.0, -1.0) * texel).rgb;
+        vec3 rgbNE = texture2D(uInput, vUv + vec2(1.0, -1.0) * texel).rgb;
+        vec3 rgbSW = texture2D(uInput, vUv + vec2(-1.0, 1.0) * texel).rgb;
+        vec3 rgbSE = texture2D(uInput, vUv + vec2(1.0, 1.0) * texel).rgb;
+        vec3 rgbM = texture2D(uInput, vUv).rgb;
+        
+        vec3 toLuma = vec3(0.299, 0.587, 0.114);
+        float lumaNW = dot(rgbNW, toLuma);
+        float lumaNE = dot(rgbNE, toLuma);
+        float lumaSW = dot(rgbSW, toLuma);
+        float lumaSE = dot(rgbSE, toLuma);
+        float lumaM = dot(rgbM, toLuma);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+        
+        // Blur along the edge, perpendicular to the luma gradient
+        vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+        float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * FXAA_REDUCE_MUL, FXAA_REDUCE_MIN);
+        float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+        dir = clamp(dir * rcpDirMin, vec2(-FXAA_SPAN_MAX), vec2(FXAA_SPAN_MAX)) * texel;
+        
+        vec3 rgbA = 0.5 * (texture2D(uInput, vUv + dir * (1.0 / 3.0 - 0.5)).rgb +
+                           texture2D(uInput, vUv + dir * (2.0 / 3.0 - 0.5)).rgb);
+        vec3 rgbB = rgbA * 0.5 + 0.25 * (texture2D(uInput, vUv - dir * 0.5).rgb +
+                                         texture2D(uInput, vUv + dir * 0.5).rgb);
+        float lumaB = dot(rgbB, toLuma);
+        gl_FragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB, 1.0);
+    }
+`;
+
+// Debug overlay lines, colored per vertex, in world space
+const debugLineVertexShaderSource = `
+    attribute vec3 aPosition;
+    attribute vec3 aColor;
+    uniform mat4 uViewProjection;
+    varying vec3 vColor;
+    
+    void main() {
+        vColor = aColor;
+        gl_Position = uViewProjection * vec4(aPosition, 1.0);
+    }
+`;
+
+const debugLineFragmentShaderSource = `
+    precision mediump float;
+    varying vec3 vColor;
+    
+    void main() {
+        gl_FragColor = vec4(vColor, 1.0);
+    }
+`;
+
+// Shadow map inset: light-space depth as grey, near = dark
+const shadowInsetFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
     precision mediump float;
+    #endif
+    uniform sampler2D uInput;
+    uniform bool uPacked;
+    varying vec2 vUv;
+    
+    float unpackDepth(vec4 rgba) {
+        return dot(rgba, vec4(1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0));
+    }
     
     void main() {
-        gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
+        vec4 texel = texture2D(uInput, vUv);
+        float depth = uPacked ? unpackDepth(texel) : texel.r;
+        gl_FragColor = vec4(vec3(depth), 1.0);
     }
 `;
 
+// Prefix a shader source with #define lines, e.g. withDefines(src, ['INSTANCED'])
+function withDefines(source, defines) {
+    return defines.map(name => `#define ${name}\n`).join('') + source;
+}
+
 class Shader {
     constructor(gl, vertexSource, fragmentSource) {
         this.gl = gl;
@@ -159,6 +757,9 @@ class Shader {
         const program = this.gl.createProgram();
         this.gl.attachShader(program, vertexShader);
         this.gl.attachShader(program, fragmentShader);
+        // Attribute 0 must always be an enabled array; pin it to the
+        // position so instanced attributes never land there
+        this.gl.bindAttribLocation(program, 0, 'aPosition');
         this.gl.linkProgram(program);
         
         if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
@@ -174,11 +775,20 @@ class Shader {
     }
     
     getUniformLocation(name) {
-        if (!this.uniforms[name]) {
+        // Cache misses too (null), shadow shaders lack most uniforms
+        if (!(name in this.uniforms)) {
             this.uniforms[name] = this.gl.getUniformLocation(this.program, name);
         }
         return this.uniforms[name];
     }
+    
+    dispose() {
+        if (this.program) {
+            (this.gl.getAttachedShaders(this.program) || []).forEach(shader => this.gl.deleteShader(shader));
+            this.gl.deleteProgram(this.program);
+            this.program = null;
+        }
+    }
 }
 
 class Geometry {
@@ -204,9 +814,152 @@ class Geometry {
         
         gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
+        
+        // CPU copies for ray casting and export
+        this.positions = new Float32Array(vertices);
+        this.indices = new Uint16Array(indices);
+        this.normals = new Float32Array(normals);
+        this.colors = new Float32Array(colors);
+        
+        const stats = getRenderStats(gl);
+        stats.setBufferSize(this.vertexBuffer, this.positions.byteLength);
+        stats.setBufferSize(this.indexBuffer, this.indices.byteLength);
+        stats.setBufferSize(this.normalBuffer, this.normals.byteLength);
+        stats.setBufferSize(this.colorBuffer, this.colors.byteLength);
     }
     
-    draw(shader) {
+    // Nearest hit of the ray origin + t * direction (model space) against
+    // the triangles, as t, or null. Both faces count as hits.
+    raycast(origin, direction) {
+        const p = this.positions;
+        const edge1 = vec3.create();
+        const edge2 = vec3.create();
+        const pvec = vec3.create();
+        const tvec = vec3.create();
+        const qvec = vec3.create();
+        let nearest = null;
+        
+        // Moller-Trumbore
+        for (let i = 0; i < this.indices.length; i += 3) {
+            const a = this.indices[i] * 3;
+            const b = this.indices[i + 1] * 3;
+            const c = this.indices[i + 2] * 3;
+            vec3.set(edge1, p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]);
+            vec3.set(edge2, p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]);
+            vec3.cross(pvec, direction, edge2);
+            const det = vec3.dot(edge1, pvec);
+            if (Math.abs(det) < 1e-10) {
+                continue; // Parallel to the triangle
+            }
+            
+            const invDet = 1 / det;
+            vec3.set(tvec, origin[0] - p[a], origin[1] - p[a + 1], origin[2] - p[a + 2]);
+            const u = vec3.dot(tvec, pvec) * invDet;
+            if (u < 0 || u > 1) {
+                continue;
+            }
+            vec3.cross(qvec, tvec, edge1);
+            const v = vec3.dot(direction, qvec) * invDet;
+            if (v < 0 || u + v > 1) {
+                continue;
+            }
+            
+            const t = vec3.dot(edge2, qvec) * invDet;
+            if (t >= 0 && (nearest === null || t < nearest)) {
+                nearest = t;
+            }
+        }
+        return nearest;
+    }
+    
+    // Model-space axis-aligned bounds { min, max }, computed on first use
+    getBounds() {
+        if (!this.bounds) {
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < this.positions.length; i += 3) {
+                for (let j = 0; j < 3; j++) {
+                    min[j] = Math.min(min[j], this.positions[i + j]);
+                    max[j] = Math.max(max[j], this.positions[i + j]);
+                }
+            }
+            this.bounds = { min, max };
+        }
+        return this.bounds;
+    }
+    
+    // Index buffer of every triangle's three edges, built on first use
+    getWireframeIndexBuffer() {
+        if (!this.wireframeIndexBuffer) {
+            const edges = new Uint16Array(this.indices.length * 2);
+            for (let i = 0; i < this.indices.length; i += 3) {
+                const [a, b, c] = [this.indices[i], this.indices[i + 1], this.indices[i + 2]];
+                edges.set([a, b, b, c, c, a], i * 2);
+            }
+            const gl = this.gl;
+            this.wireframeIndexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.wireframeIndexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, edges, gl.STATIC_DRAW);
+            getRenderStats(gl).setBufferSize(this.wireframeIndexBuffer, edges.byteLength);
+        }
+        return this.wireframeIndexBuffer;
+    }
+    
+    // Re-upload the positions and normals of a mesh that changes shape
+    // every frame; the vertex count, indices and colors stay as built
+    updateVertices(vertices, normals) {
+        const gl = this.gl;
+        this.positions.set(vertices);
+        this.normals.set(normals);
+        this.bounds = null;
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.positions);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.normals);
+    }
+    
+    dispose() {
+        const gl = this.gl;
+        const stats = getRenderStats(gl);
+        [this.vertexBuffer, this.indexBuffer, this.normalBuffer, this.colorBuffer].forEach(buffer => {
+            gl.deleteBuffer(buffer);
+            stats.deleteBuffer(buffer);
+        });
+        if (this.wireframeIndexBuffer) {
+            gl.deleteBuffer(this.wireframeIndexBuffer);
+            stats.deleteBuffer(this.wireframeIndexBuffer);
+        }
+    }
+    
+    // Pass a color to use it for every vertex instead of the color buffer,
+    // so one white mesh can be shared by differently colored objects
+    draw(shader, color = null) {
+        this.bindAttributes(shader, color);
+        this.drawElements();
+    }
+    
+    // Draw call for the bound attributes: triangles, or their edges while
+    // Geometry.wireframe is set. With the ANGLE_instanced_arrays extension
+    // it draws instanceCount instances.
+    drawElements(instancing = null, instanceCount = 1) {
+        const gl = this.gl;
+        let mode = gl.TRIANGLES;
+        let count = this.vertexCount;
+        if (Geometry.wireframe) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.getWireframeIndexBuffer());
+            mode = gl.LINES;
+            count *= 2;
+        }
+        if (instancing) {
+            instancing.drawElementsInstancedANGLE(mode, count, gl.UNSIGNED_SHORT, 0, instanceCount);
+        } else {
+            gl.drawElements(mode, count, gl.UNSIGNED_SHORT, 0);
+        }
+        getRenderStats(gl).countDraw(mode, count, instancing ? instanceCount : 1);
+    }
+    
+    bindAttributes(shader, color = null) {
         const gl = this.gl;
         
         // Position attribute
@@ -224,62 +977,278 @@ class Geometry {
         }
         
         // Color attribute
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
         const colorLocation = gl.getAttribLocation(shader.program, 'aColor');
-        if (colorLocation >= 0) {
+        if (colorLocation >= 0 && color) {
+            // Constant attribute value for the whole draw
+            gl.disableVertexAttribArray(colorLocation);
+            gl.vertexAttrib3fv(colorLocation, color);
+        } else if (colorLocation >= 0) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
             gl.enableVertexAttribArray(colorLocation);
             gl.vertexAttribPointer(colorLocation, 3, gl.FLOAT, false, 0, 0);
         }
         
-        // Draw
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.drawElements(gl.TRIANGLES, this.vertexCount, gl.UNSIGNED_SHORT, 0);
     }
 }
 
-class PyramidIsland {
-    constructor(gl, baseSize = 2.0, height = 3.0) {
-        this.gl = gl;
-        this.baseSize = baseSize;
-        this.height = height;
-        this.position = [0, 0, 0];
-        this.floatOffset = 0;
-        this.floatSpeed = 0.5 + Math.random() * 0.5;
-        this.floatAmplitude = 0.1;
-        this.groundColor = [0.2, 0.6, 0.2]; // Grass green
-        this.dirtColor = [0.5, 0.3, 0.1]; // Brown dirt
-        
-        this.geometry = null; // Will be created in createGeometry()
-        this.vegetation = [];
-        this.createGeometry(); // Create geometry immediately
+// Set by the debug overlay to draw every Geometry as edges
+Geometry.wireframe = false;
+
+// The six planes (left, right, bottom, top, near, far) of a
+// view-projection matrix as [a, b, c, d], inside where
+// a * x + b * y + c * z + d >= 0
+class Frustum {
+    constructor() {
+        this.planes = Array.from({ length: 6 }, () => new Float32Array(4));
     }
     
-    createGeometry() {
-        const halfBase = this.baseSize / 2;
-        
-        // Create vertices for an upside down pyramid
-        // Bottom face (ground) at y = 0
-        // Apex at y = -height
-        
-        const vertices = [
-            // Bottom face vertices (ground)
-            -halfBase, 0, -halfBase,  // 0: back-left
-            halfBase, 0, -halfBase,   // 1: back-right
-            halfBase, 0, halfBase,    // 2: front-right
-            -halfBase, 0, halfBase,   // 3: front-left
-            
-            // Apex (pointing down)
-            0, -this.height, 0,       // 4: apex
-        ];
-        
-        // Indices for 6 triangles (2 for bottom, 4 for sides)
-        const indices = [
-            // Bottom face triangles (CCW - facing up)
-            0, 3, 2,  // First triangle of bottom face
-            0, 2, 1,  // Second triangle of bottom face
-            
-            // Side triangles (all share the apex at index 4)
-            // Back face
+    // Gribb/Hartmann: each plane is the fourth row of the (column-major)
+    // matrix plus or minus one of the others
+    setFromMatrix(m) {
+        this.planes.forEach((plane, i) => {
+            const row = i >> 1;
+            const sign = i & 1 ? -1 : 1;
+            for (let k = 0; k < 4; k++) {
+                plane[k] = m[k * 4 + 3] + sign * m[k * 4 + row];
+            }
+            const length = Math.hypot(plane[0], plane[1], plane[2]);
+            for (let k = 0; k < 4; k++) {
+                plane[k] /= length;
+            }
+        });
+        return this;
+    }
+    
+    // False only if the box is entirely outside one plane; boxes near a
+    // corner may pass without touching the frustum, which is harmless
+    intersectsBox(min, max) {
+        for (const [a, b, c, d] of this.planes) {
+            // The box corner furthest along the plane normal
+            const x = a >= 0 ? max[0] : min[0];
+            const y = b >= 0 ? max[1] : min[1];
+            const z = c >= 0 ? max[2] : min[2];
+            if (a * x + b * y + c * z + d < 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+// Surface materials. diffuse tints the vertex/vegetation color,
+// specularStrength and shininess shape the highlight and emissive is
+// added after lighting. windBend and windFlutter are how far vegetation
+// made of it leans and shakes in the wind. Islands and vegetation entries
+// take either a preset name or an object overriding some fields of
+// "default".
+const MATERIALS = {
+    default: { diffuse: [1, 1, 1], specularStrength: 0.3, shininess: 32, emissive: [0, 0, 0], windBend: 0.3, windFlutter: 0.3 },
+    grass: { specularStrength: 0.04, shininess: 8 },
+    bark: { specularStrength: 0.05, shininess: 8, windBend: 0.25, windFlutter: 0 },
+    foliage: { specularStrength: 0.15, shininess: 16, windBend: 0.7, windFlutter: 1 },
+    stone: { specularStrength: 0.25, shininess: 24, windBend: 0, windFlutter: 0 },
+    wetStone: { diffuse: [0.8, 0.8, 0.85], specularStrength: 0.9, shininess: 96, windBend: 0, windFlutter: 0 }
+};
+
+function resolveMaterial(material = 'default') {
+    const overrides = typeof material === 'string' ? MATERIALS[material] : material;
+    if (!overrides) {
+        throw new Error(`Unknown material: ${material}`);
+    }
+    return Object.assign({}, MATERIALS.default, overrides);
+}
+
+// Resolved material of anything with a material field (island, bridge or
+// vegetation entry), kept on the owner so drawing doesn't build a new
+// object for every piece in every pass. Resolved again only when the
+// material field was changed, e.g. by the editor or a scene load.
+function getResolvedMaterial(owner) {
+    const cache = owner.resolvedMaterial;
+    if (!cache || cache.source !== owner.material) {
+        owner.resolvedMaterial = { source: owner.material, material: resolveMaterial(owner.material) };
+    }
+    return owner.resolvedMaterial.material;
+}
+
+// Glow added to the emissive color of picked objects
+const HIGHLIGHT_EMISSIVE = [0.25, 0.2, 0.05];
+
+function highlightMaterial(material) {
+    return Object.assign({}, material, {
+        emissive: material.emissive.map((e, i) => e + HIGHLIGHT_EMISSIVE[i])
+    });
+}
+
+function setMaterialUniforms(gl, shader, material) {
+    gl.uniform3fv(shader.getUniformLocation('uDiffuse'), material.diffuse);
+    gl.uniform2f(shader.getUniformLocation('uSpecular'), material.specularStrength, material.shininess);
+    gl.uniform3fv(shader.getUniformLocation('uEmissive'), material.emissive);
+}
+
+// Collects flat-shaded triangles (one normal per face) for a Geometry.
+// Each triangle is flipped if needed so its normal agrees with the
+// outward hint, which keeps generated meshes correct under CULL_FACE.
+class MeshBuilder {
+    constructor() {
+        this.vertices = [];
+        this.normals = [];
+        this.colors = [];
+        this.indices = [];
+    }
+    
+    addTriangle(a, b, c, color, outward) {
+        const edge1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const edge2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        let normal = [
+            edge1[1] * edge2[2] - edge1[2] * edge2[1],
+            edge1[2] * edge2[0] - edge1[0] * edge2[2],
+            edge1[0] * edge2[1] - edge1[1] * edge2[0]
+        ];
+        
+        const length = Math.sqrt(normal[0]**2 + normal[1]**2 + normal[2]**2);
+        if (length < 1e-10) {
+            return; // Degenerate
+        }
+        normal = [normal[0]/length, normal[1]/length, normal[2]/length];
+        
+        if (normal[0] * outward[0] + normal[1] * outward[1] + normal[2] * outward[2] < 0) {
+            [b, c] = [c, b];
+            normal = [-normal[0], -normal[1], -normal[2]];
+        }
+        
+        const base = this.vertices.length / 3;
+        [a, b, c].forEach(v => {
+            this.vertices.push(v[0], v[1], v[2]);
+            this.normals.push(normal[0], normal[1], normal[2]);
+            this.colors.push(color[0], color[1], color[2]);
+        });
+        this.indices.push(base, base + 1, base + 2);
+    }
+    
+    addQuad(a, b, c, d, color, outward) {
+        this.addTriangle(a, b, c, color, outward);
+        this.addTriangle(a, c, d, color, outward);
+    }
+    
+    // Shared vertex for indexed meshes (the model loaders); returns its index
+    addVertex(position, normal, color) {
+        this.vertices.push(position[0], position[1], position[2]);
+        this.normals.push(normal[0], normal[1], normal[2]);
+        this.colors.push(color[0], color[1], color[2]);
+        return this.vertices.length / 3 - 1;
+    }
+    
+    build(gl) {
+        if (this.vertices.length / 3 > 65536) {
+            throw new Error(`Mesh has ${this.vertices.length / 3} vertices, more than 16-bit indices can address`);
+        }
+        return new Geometry(gl, this.vertices, this.indices, this.normals, this.colors);
+    }
+}
+
+// Deep copy of a vegetation entry as stored in scene files
+function copyVegetation(veg) {
+    const copy = {
+        type: veg.type,
+        position: veg.position.slice(),
+        scale: veg.scale.slice(),
+        color: veg.color.slice()
+    };
+    if (veg.material !== undefined) {
+        copy.material = typeof veg.material === 'string' ? veg.material : JSON.parse(JSON.stringify(veg.material));
+    }
+    if (veg.group !== undefined) {
+        copy.group = veg.group; // Pieces of one object (trunk and canopy) share a group
+    }
+    if (veg.sway !== undefined) {
+        copy.sway = veg.sway; // Scales the material's wind response, 0 holds it still
+    }
+    return copy;
+}
+
+// How pieces of each registered model type are placed: type -> { material,
+// sway } from FloatingIslandScene.registerVegetationGeometry. Types
+// without settings sway like the default material.
+const VEGETATION_MODEL_SETTINGS = {};
+
+// The material and sway among a model's options, checked so a bad value
+// fails when the model is registered instead of when it is drawn
+function vegetationModelSettings(options) {
+    const settings = {};
+    if (options.material !== undefined) {
+        resolveMaterial(options.material);
+        settings.material = options.material;
+    }
+    if (options.sway !== undefined) {
+        if (typeof options.sway !== 'number' || !Number.isFinite(options.sway)) {
+            throw new Error(`Model "sway" must be a number, got ${JSON.stringify(options.sway)}`);
+        }
+        settings.sway = options.sway;
+    }
+    return settings;
+}
+
+// Relative odds of what addVegetation scatters. Keys are tree, bush and
+// boulder or the name of a registered vegetation model. Boulders and
+// bushes come first so these odds make the same picks from a seed as the
+// thresholds they replaced.
+const DEFAULT_VEGETATION_WEIGHTS = { boulder: 0.3, bush: 0.3, tree: 0.4 };
+
+class PyramidIsland {
+    constructor(gl, baseSize = 2.0, height = 3.0, random = createRandom(generateSeed())) {
+        this.gl = gl;
+        this.random = random; // All procedural choices for this island
+        this.baseSize = baseSize;
+        this.height = height;
+        this.position = [0, 0, 0];
+        this.floatOffset = 0;
+        this.floatSpeed = 0.5 + random() * 0.5;
+        this.floatAmplitude = 0.1;
+        this.groundColor = [0.2, 0.6, 0.2]; // Grass green
+        this.dirtColor = [0.5, 0.3, 0.1]; // Brown dirt
+        this.material = 'grass';
+        
+        this.geometry = null; // Will be created in createGeometry()
+        this.vegetation = [];
+        
+        // Selection state, drawn with a glow
+        this.highlighted = false;
+        this.highlightedVegetation = null; // One of this.vegetation
+        this.createGeometry(); // Create geometry immediately
+    }
+    
+    createGeometry() {
+        // Free the old buffers when regenerating (e.g. after a color change)
+        if (this.geometry) {
+            this.geometry.dispose();
+        }
+        
+        const halfBase = this.baseSize / 2;
+        
+        // Create vertices for an upside down pyramid
+        // Bottom face (ground) at y = 0
+        // Apex at y = -height
+        
+        const vertices = [
+            // Bottom face vertices (ground)
+            -halfBase, 0, -halfBase,  // 0: back-left
+            halfBase, 0, -halfBase,   // 1: back-right
+            halfBase, 0, halfBase,    // 2: front-right
+            -halfBase, 0, halfBase,   // 3: front-left
+            
+            // Apex (pointing down)
+            0, -this.height, 0,       // 4: apex
+        ];
+        
+        // Indices for 6 triangles (2 for bottom, 4 for sides)
+        const indices = [
+            // Bottom face triangles (CCW - facing up)
+            0, 3, 2,  // First triangle of bottom face
+            0, 2, 1,  // Second triangle of bottom face
+            
+            // Side triangles (all share the apex at index 4)
+            // Back face
             4, 1, 0,
             // Right face
             4, 2, 1,
@@ -333,100 +1302,302 @@ class PyramidIsland {
         this.geometry = new Geometry(this.gl, vertices, indices, normals, colors);
     }
     
-    addVegetation(count = 15) {
-        const halfBase = this.baseSize / 2 - 0.3; // Keep vegetation away from edges
+    // Random island-local (x, z) on the top surface for vegetation
+    randomSurfacePoint() {
+        const halfBase = this.baseSize / 2 - 0.3;
+        return [(this.random() - 0.5) * halfBase * 2, (this.random() - 0.5) * halfBase * 2];
+    }
+    
+    // Whether (x, z) lies on the top surface at least `margin` from the edge
+    isOnSurface(x, z, margin = 0) {
+        const halfBase = this.baseSize / 2 - margin;
+        return Math.abs(x) <= halfBase && Math.abs(z) <= halfBase;
+    }
+    
+    // Height of the top surface at island-local (x, z)
+    getSurfaceHeight(x, z) {
+        return 0; // Flat square top
+    }
+    
+    // Island-local point on the rim of the top surface in the direction of
+    // `angle` (radians, x = cos, z = sin), with the outward normal
+    getEdgePoint(angle) {
+        const dx = Math.cos(angle);
+        const dz = Math.sin(angle);
+        const distance = this.baseSize / 2 / Math.max(Math.abs(dx), Math.abs(dz));
+        const normal = Math.abs(dx) > Math.abs(dz) ? [Math.sign(dx), 0, 0] : [0, 0, Math.sign(dz)];
+        return { position: [dx * distance, 0, dz * distance], normal };
+    }
+    
+    addVegetation(count = 15, weights = DEFAULT_VEGETATION_WEIGHTS) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0) {
+            return;
+        }
         
         for (let i = 0; i < count; i++) {
             // Generate random position within THIS island's boundaries
-            const x = (Math.random() - 0.5) * halfBase * 2;
-            const z = (Math.random() - 0.5) * halfBase * 2;
+            const [x, z] = this.randomSurfacePoint();
             
-            // Ensure position is within island bounds
-            if (Math.abs(x) > halfBase - 0.2 || Math.abs(z) > halfBase - 0.2) {
+            // Ensure position is on the top surface
+            if (!this.isOnSurface(x, z, 0.5)) {
                 continue; // Skip this vegetation if too close to edge
             }
             
-            const rand = Math.random();
-            
-            if (rand > 0.6) {
-                // Tree
-                this.createTree(x, z);
-            } else if (rand > 0.3) {
-                // Bush
-                this.createBush(x, z);
-            } else {
-                // Boulder
-                this.createBoulder(x, z);
-            }
+            let rand = this.random() * total;
+            const [kind] = entries.find(([, weight]) => (rand -= weight) < 0) || entries[entries.length - 1];
+            this.createVegetation(kind, x, z);
+        }
+    }
+    
+    // One object of a weight table kind: the built-in generators by name,
+    // anything else places a model of that vegetation type
+    createVegetation(kind, x, z, size = 1) {
+        switch (kind) {
+            case 'tree':
+                return this.createTree(x, z, size);
+            case 'bush':
+                return this.createBush(x, z, size);
+            case 'boulder':
+                return this.createBoulder(x, z, size);
+            default:
+                return this.createModel(kind, x, z, size);
         }
     }
     
-    createTree(x, z) {
-        const trunkHeight = 0.4 + Math.random() * 0.3;
-        const trunkRadius = 0.04 + Math.random() * 0.03;
-        const canopySize = 0.25 + Math.random() * 0.1;
+    // Unused id for grouping the pieces of a new object
+    nextGroupId() {
+        return this.vegetation.reduce((max, veg) => veg.group !== undefined ? Math.max(max, veg.group + 1) : max, 0);
+    }
+    
+    // The create* methods return the entries they push; size scales the
+    // randomized dimensions
+    createTree(x, z, size = 1) {
+        const ground = this.getSurfaceHeight(x, z);
+        const trunkHeight = (0.4 + this.random() * 0.3) * size;
+        const trunkRadius = (0.04 + this.random() * 0.03) * size;
+        const canopySize = (0.25 + this.random() * 0.1) * size;
+        const group = this.nextGroupId();
         
         // Tree trunk (taller cylinder)
-        this.vegetation.push({
+        const trunk = {
             type: 'cylinder',
-            position: [x, 0, z],  // Start at island surface
+            position: [x, ground, z],  // Start at island surface
             scale: [trunkRadius, trunkHeight, trunkRadius],
-            color: [0.4, 0.3, 0.2]  // Brown trunk
-        });
+            color: [0.4, 0.3, 0.2],  // Brown trunk
+            material: 'bark',
+            group
+        };
         
         // Tree canopy - positioned at the top of the trunk
-        this.vegetation.push({
+        const canopy = {
             type: 'sphere',
-            position: [x, trunkHeight, z],  // On top of trunk
+            position: [x, ground + trunkHeight, z],  // On top of trunk
             scale: [canopySize, canopySize * 0.8, canopySize],
-            color: [0.1 + Math.random() * 0.1, 0.5 + Math.random() * 0.2, 0.1 + Math.random() * 0.05]
-        });
+            color: [0.1 + this.random() * 0.1, 0.5 + this.random() * 0.2, 0.1 + this.random() * 0.05],
+            material: 'foliage',
+            group
+        };
+        
+        this.vegetation.push(trunk, canopy);
+        return [trunk, canopy];
     }
     
-    createBush(x, z) {
-        const bushHeight = 0.15 + Math.random() * 0.1;
-        const bushRadius = 0.12 + Math.random() * 0.08;
+    createBush(x, z, size = 1) {
+        const ground = this.getSurfaceHeight(x, z);
+        const bushHeight = (0.15 + this.random() * 0.1) * size;
+        const bushRadius = (0.12 + this.random() * 0.08) * size;
         
         // Bush (single sphere)
-        this.vegetation.push({
+        const bush = {
             type: 'sphere',
-            position: [x, bushHeight * 0.5, z],  // Half embedded in ground
+            position: [x, ground + bushHeight * 0.5, z],  // Half embedded in ground
             scale: [bushRadius, bushHeight, bushRadius],
-            color: [0.2 + Math.random() * 0.1, 0.5 + Math.random() * 0.2, 0.2 + Math.random() * 0.1]
-        });
+            color: [0.2 + this.random() * 0.1, 0.5 + this.random() * 0.2, 0.2 + this.random() * 0.1],
+            material: 'foliage'
+        };
+        this.vegetation.push(bush);
+        return [bush];
     }
     
-    createBoulder(x, z) {
-        const boulderSize = 0.12 + Math.random() * 0.15;
+    createBoulder(x, z, size = 1) {
+        const ground = this.getSurfaceHeight(x, z);
+        const boulderSize = (0.12 + this.random() * 0.15) * size;
         
         // Boulder (sphere)
-        this.vegetation.push({
+        const boulder = {
             type: 'sphere',
-            position: [x, boulderSize * 0.5, z],  // Half embedded in ground
+            position: [x, ground + boulderSize * 0.5, z],  // Half embedded in ground
             scale: [boulderSize, boulderSize * 0.8, boulderSize],
-            color: [0.35 + Math.random() * 0.1, 0.35 + Math.random() * 0.1, 0.35 + Math.random() * 0.1]
-        });
+            color: [0.35 + this.random() * 0.1, 0.35 + this.random() * 0.1, 0.35 + this.random() * 0.1],
+            material: 'stone'
+        };
+        this.vegetation.push(boulder);
+        return [boulder];
+    }
+    
+    // Registered model standing on the surface. Its color tints the model's
+    // own colors, so white keeps them as they are.
+    createModel(type, x, z, size = 1) {
+        const scale = (0.8 + this.random() * 0.4) * size;
+        const model = {
+            type,
+            position: [x, this.getSurfaceHeight(x, z), z],
+            scale: [scale, scale, scale],
+            color: [1, 1, 1]
+        };
+        // Wind response as registered with the model, e.g. still for rocks
+        Object.assign(model, VEGETATION_MODEL_SETTINGS[type]);
+        this.vegetation.push(model);
+        return [model];
+    }
+    
+    // All entries belonging to the same object as veg
+    getVegetationGroup(veg) {
+        if (veg.group === undefined) {
+            return [veg];
+        }
+        return this.vegetation.filter(other => other.group === veg.group);
+    }
+    
+    toJSON() {
+        return {
+            type: 'pyramid',
+            baseSize: this.baseSize,
+            height: this.height,
+            position: this.position.slice(),
+            floatSpeed: this.floatSpeed,
+            floatAmplitude: this.floatAmplitude,
+            groundColor: this.groundColor.slice(),
+            dirtColor: this.dirtColor.slice(),
+            material: this.material,
+            vegetation: this.vegetation.map(veg => copyVegetation(veg))
+        };
+    }
+    
+    static fromJSON(gl, data, random) {
+        const island = new this(gl, data.baseSize, data.height, random);
+        island.applyJSON(data);
+        
+        // Rebuild so the geometry picks up the loaded colors and shape
+        island.createGeometry();
+        
+        // Explicit vegetation wins, otherwise scatter some at random
+        if (Array.isArray(data.vegetation)) {
+            island.vegetation = data.vegetation.map(veg => copyVegetation(veg));
+        } else if (data.vegetationCount) {
+            island.addVegetation(data.vegetationCount, data.vegetationWeights);
+        }
+        
+        return island;
+    }
+    
+    // Copy scene-file properties onto the island (geometry is rebuilt by the caller)
+    applyJSON(data) {
+        if (data.position) this.position = data.position.slice();
+        if (data.floatSpeed !== undefined) this.floatSpeed = data.floatSpeed;
+        if (data.floatAmplitude !== undefined) this.floatAmplitude = data.floatAmplitude;
+        if (data.groundColor) this.groundColor = data.groundColor.slice();
+        if (data.dirtColor) this.dirtColor = data.dirtColor.slice();
+        if (data.material !== undefined) this.material = data.material;
+    }
+    
+    dispose() {
+        this.geometry.dispose();
+        this.geometry = null;
     }
     
+    // time in seconds of simulation time
     update(time) {
-        // Floating animation - up and down motion
-        this.floatOffset = Math.sin(time * this.floatSpeed) * this.floatAmplitude;
+        // Floating animation - up and down motion. floatSpeed was tuned
+        // when time advanced 0.01 per frame at 60 Hz, i.e. 0.6 per second.
+        this.floatOffset = Math.sin(time * 0.6 * this.floatSpeed) * this.floatAmplitude;
     }
     
-    draw(shader) {
-        shader.use();
+    // World-space boxes { min, max } for culling, refreshed by the scene
+    // after every update() so they follow floatOffset: veg.bounds around
+    // each vegetation piece, grown by how far the wind (strength times
+    // gusts, windReach) can bend and shake it, and this.bounds around the
+    // island and all of its vegetation. Vegetation meshes belong to the scene,
+    // hence the lookup.
+    updateBounds(getVegetationGeometry, windReach = 0) {
+        const offset = [this.position[0], this.position[1] + this.floatOffset, this.position[2]];
+        const local = this.geometry.getBounds();
+        const bounds = this.bounds || (this.bounds = { min: [0, 0, 0], max: [0, 0, 0] });
+        const wind = new Float32Array(4);
+        for (let j = 0; j < 3; j++) {
+            bounds.min[j] = local.min[j] + offset[j];
+            bounds.max[j] = local.max[j] + offset[j];
+        }
         
-        // Create model matrix for this island
-        const modelMatrix = mat4.create();
+        this.vegetation.forEach(veg => {
+            const geometry = getVegetationGeometry(veg.type);
+            if (!geometry) {
+                veg.bounds = null; // Not drawn
+                return;
+            }
+            const mesh = geometry.getBounds();
+            const vegBounds = veg.bounds || (veg.bounds = { min: [0, 0, 0], max: [0, 0, 0] });
+            for (let j = 0; j < 3; j++) {
+                const a = offset[j] + veg.position[j] + mesh.min[j] * veg.scale[j];
+                const b = offset[j] + veg.position[j] + mesh.max[j] * veg.scale[j];
+                vegBounds.min[j] = Math.min(a, b);
+                vegBounds.max[j] = Math.max(a, b);
+            }
+            
+            // The lean grows linearly with the height above the ground the
+            // piece stands on, which for a canopy includes its trunk, and
+            // flutter adds a little in every direction (see applyWind)
+            const [bend, flutter, , groundY] = this.getVegetationWind(veg, getResolvedMaterial(veg), wind);
+            const reach = windReach * (bend * Math.max(0, vegBounds.max[1] - groundY) + flutter * 0.04);
+            vegBounds.min[0] -= reach;
+            vegBounds.min[2] -= reach;
+            vegBounds.max[0] += reach;
+            vegBounds.max[2] += reach;
+            for (let j = 0; j < 3; j++) {
+                bounds.min[j] = Math.min(bounds.min[j], vegBounds.min[j]);
+                bounds.max[j] = Math.max(bounds.max[j], vegBounds.max[j]);
+            }
+        });
+    }
+    
+    getModelMatrix(out = mat4.create()) {
+        mat4.identity(out);
         
         // Apply island position
-        mat4.translate(modelMatrix, modelMatrix, this.position);
+        mat4.translate(out, out, this.position);
         
         // Apply floating animation
-        mat4.translate(modelMatrix, modelMatrix, [0, this.floatOffset, 0]);
+        mat4.translate(out, out, [0, this.floatOffset, 0]);
+        
+        return out;
+    }
+    
+    // World transform of a vegetation piece: it floats WITH the island
+    getVegetationMatrix(veg, out = mat4.create()) {
+        this.getModelMatrix(out);
+        
+        // Apply vegetation position (relative to island)
+        mat4.translate(out, out, veg.position);
+        
+        // Apply vegetation scale
+        mat4.scale(out, out, veg.scale);
+        
+        return out;
+    }
+    
+    draw(shader) {
+        shader.use();
         
-        // Set the model matrix uniform
+        // Create model matrix for this island
+        const modelMatrix = this.getModelMatrix();
+        
+        // Set the model matrix, normal matrix and material uniforms
         this.gl.uniformMatrix4fv(shader.getUniformLocation('uModelMatrix'), false, modelMatrix);
+        this.gl.uniformMatrix3fv(shader.getUniformLocation('uNormalMatrix'), false, mat3.normalFromMat4(mat3.create(), modelMatrix));
+        setMaterialUniforms(this.gl, shader, this.getMaterial());
+        this.gl.uniform4f(shader.getUniformLocation('uObjectWind'), 0, 0, 0, 0);
         
         // Draw the island geometry
         this.geometry.draw(shader);
@@ -434,113 +1605,412 @@ class PyramidIsland {
         return modelMatrix;
     }
     
-    drawVegetation(shader, scene) {
+    getMaterial() {
+        const material = getResolvedMaterial(this);
+        return this.highlighted ? highlightMaterial(material) : material;
+    }
+    
+    getVegetationMaterial(veg) {
+        const material = getResolvedMaterial(veg);
+        return veg === this.highlightedVegetation ? highlightMaterial(material) : material;
+    }
+    
+    // Per-piece wind vector for the vertex stage: bend, flutter, phase and
+    // the world height of the ground under it. Pieces of one tree share a
+    // spot, so they share a phase and move together.
+    getVegetationWind(veg, material, out = new Float32Array(4)) {
+        const [x, y, z] = veg.position;
+        const sway = veg.sway !== undefined ? veg.sway : 1;
+        const hash = Math.sin((this.position[0] + x) * 12.9898 + (this.position[2] + z) * 78.233) * 43758.5453;
+        out[0] = material.windBend * sway;
+        out[1] = material.windFlutter * sway;
+        out[2] = (hash - Math.floor(hash)) * Math.PI * 2;
+        out[3] = this.position[1] + this.floatOffset + Math.min(y, this.getVegetationGround(veg));
+        return out;
+    }
+    
+    // Island-local height of the ground under a piece. Terrain heights are
+    // costly, so it is kept on the entry and only looked up again once the
+    // piece has moved or the island's shape was rebuilt.
+    getVegetationGround(veg) {
+        const [x, , z] = veg.position;
+        const ground = veg.ground;
+        if (!ground || ground.x !== x || ground.z !== z || ground.geometry !== this.geometry) {
+            veg.ground = { x, z, geometry: this.geometry, height: this.getSurfaceHeight(x, z) };
+        }
+        return veg.ground.height;
+    }
+    
+    // Non-instanced fallback: one draw call per vegetation piece, skipping
+    // pieces isVisible rejects
+    drawVegetation(shader, scene, isVisible = null) {
         shader.use();
+        const modelMatrix = mat4.create();
+        const normalMatrix = mat3.create();
+        
+        const wind = new Float32Array(4);
         
         // For each vegetation piece on this island
         this.vegetation.forEach(veg => {
-            // Create model matrix for this vegetation
-            const modelMatrix = mat4.create();
-            
-            // Start with island position
-            mat4.translate(modelMatrix, modelMatrix, this.position);
-            
-            // Apply floating animation so vegetation floats WITH the island
-            mat4.translate(modelMatrix, modelMatrix, [0, this.floatOffset, 0]);
-            
-            // Apply vegetation position (relative to island)
-            mat4.translate(modelMatrix, modelMatrix, veg.position);
-            
-            // Apply vegetation scale
-            mat4.scale(modelMatrix, modelMatrix, veg.scale);
+            const vegGeometry = scene.getVegetationGeometry(veg.type);
+            if (!vegGeometry || (isVisible && !isVisible(veg))) {
+                return;
+            }
             
-            // Set the model matrix uniform
+            // Set the model matrix, normal matrix and material uniforms
+            this.getVegetationMatrix(veg, modelMatrix);
             this.gl.uniformMatrix4fv(shader.getUniformLocation('uModelMatrix'), false, modelMatrix);
+            this.gl.uniformMatrix3fv(shader.getUniformLocation('uNormalMatrix'), false, mat3.normalFromMat4(normalMatrix, modelMatrix));
             
-            // Get the appropriate geometry with the correct color
-            const vegGeometry = veg.type === 'sphere' 
-                ? scene.getSphereGeometry(veg.color)
-                : scene.getCylinderGeometry(veg.color);
-            
-            // Draw the vegetation
+            // The piece's color tints the shared mesh through the diffuse
+            const material = this.getVegetationMaterial(veg);
+            setMaterialUniforms(this.gl, shader, Object.assign({}, material, {
+                diffuse: material.diffuse.map((d, i) => d * veg.color[i])
+            }));
+            this.gl.uniform4fv(shader.getUniformLocation('uObjectWind'), this.getVegetationWind(veg, material, wind));
             vegGeometry.draw(shader);
         });
     }
 }
 
-// Create sphere geometry with custom color
-function createSphereGeometry(gl, color = [1, 1, 1], segments = 12) {
-    const vertices = [];
-    const indices = [];
-    const normals = [];
-    const colors = [];
-    
-    for (let lat = 0; lat <= segments; lat++) {
-        const theta = lat * Math.PI / segments;
-        const sinTheta = Math.sin(theta);
-        const cosTheta = Math.cos(theta);
+// Procedural island: a subdivided, noise-displaced grass top with an
+// irregular coastline over a jagged rocky underside that tapers to one
+// or more stalactite tips
+class TerrainIsland extends PyramidIsland {
+    constructor(gl, baseSize = 2.0, height = 3.0, random = createRandom(generateSeed()), options = {}) {
+        super(gl, baseSize, height, random);
         
-        for (let lon = 0; lon <= segments; lon++) {
-            const phi = lon * 2 * Math.PI / segments;
-            const sinPhi = Math.sin(phi);
-            const cosPhi = Math.cos(phi);
-            
-            const x = cosPhi * sinTheta;
-            const y = cosTheta;
-            const z = sinPhi * sinTheta;
-            
-            vertices.push(x, y, z);
-            normals.push(x, y, z);
-            colors.push(color[0], color[1], color[2]);
-        }
+        const { resolution = 12, roughness = 0.35, taper = 1.6, tipCount = 3 } = options;
+        this.resolution = resolution; // Rings on the top, levels underneath
+        this.roughness = roughness;   // 0 = smooth round island, 1 = very ragged
+        this.taper = taper;           // Underside profile exponent, higher = thinner spike
+        this.tipCount = tipCount;     // Stalactites, counting the main one
+        this.rockColor = [0.42, 0.4, 0.38]; // Grey rock near the tips
+        
+        // Shape noise gets its own seed so rebuilding the geometry (e.g.
+        // after a color change) gives the same island
+        this.shapeSeed = Math.floor(random() * 4294967296) >>> 0;
+        this.noise = createNoise2D(this.shapeSeed);
+        this.createGeometry();
     }
     
-    for (let lat = 0; lat < segments; lat++) {
-        for (let lon = 0; lon < segments; lon++) {
-            const first = (lat * (segments + 1)) + lon;
-            const second = first + segments + 1;
-            
-            indices.push(first, second, first + 1);
-            indices.push(second, second + 1, first + 1);
-        }
+    getCoastRadius(angle) {
+        const wobble = fractalNoise(this.noise, Math.cos(angle) * 1.5 + 10, Math.sin(angle) * 1.5 + 10, 3);
+        return this.baseSize / 2 * Math.max(0.5, 1 + this.roughness * 0.5 * wobble);
     }
     
-    return new Geometry(gl, vertices, indices, normals, colors);
-}
-
-// Create cylinder geometry with custom color
-function createCylinderGeometry(gl, color = [1, 1, 1], segments = 12) {
-    const vertices = [];
-    const indices = [];
-    const normals = [];
-    const colors = [];
+    // Uniform over the area inside the coastline, clear of the edge
+    randomSurfacePoint() {
+        const angle = this.random() * Math.PI * 2;
+        const radius = Math.sqrt(this.random()) * Math.max(0, this.getCoastRadius(angle) - 0.5);
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    }
     
-    // Create vertices for top and bottom circles
-    for (let i = 0; i <= segments; i++) {
-        const angle = (i / segments) * Math.PI * 2;
-        const x = Math.cos(angle);
-        const z = Math.sin(angle);
-        
-        // Top circle (y = 0.5)
-        vertices.push(x, 0.5, z);
-        normals.push(x, 0, z);
-        colors.push(color[0], color[1], color[2]);
-        
-        // Bottom circle (y = -0.5)
-        vertices.push(x, -0.5, z);
-        normals.push(x, 0, z);
-        colors.push(color[0], color[1], color[2]);
+    isOnSurface(x, z, margin = 0) {
+        return Math.hypot(x, z) <= this.getCoastRadius(Math.atan2(z, x)) - margin;
     }
     
-    // Create side faces
-    for (let i = 0; i < segments; i++) {
-        const topLeft = i * 2;
-        const topRight = (i + 1) * 2;
-        const bottomLeft = i * 2 + 1;
-        const bottomRight = (i + 1) * 2 + 1;
+    getEdgePoint(angle) {
+        const radius = this.getCoastRadius(angle);
+        const normal = [Math.cos(angle), 0, Math.sin(angle)];
+        return { position: [normal[0] * radius, 0, normal[2] * radius], normal };
+    }
+    
+    getSurfaceHeight(x, z) {
+        const rho = Math.hypot(x, z) / this.getCoastRadius(Math.atan2(z, x));
+        if (rho >= 1) {
+            return 0;
+        }
         
-        indices.push(topLeft, bottomLeft, topRight);
-        indices.push(topRight, bottomLeft, bottomRight);
+        // Gentle dome plus bumps, both fading to zero at the coastline
+        const falloff = 1 - rho * rho;
+        const bumps = fractalNoise(this.noise, x * 1.2 + 30, z * 1.2 - 30, 3);
+        return falloff * this.baseSize * (0.05 + this.roughness * 0.08 * bumps);
+    }
+    
+    createGeometry() {
+        // The base constructor calls this before the terrain parameters exist
+        if (!this.noise) {
+            return;
+        }
+        
+        if (this.geometry) {
+            this.geometry.dispose();
+        }
+        
+        const random = createRandom(this.shapeSeed);
+        const builder = new MeshBuilder();
+        const rings = Math.max(2, Math.min(32, Math.round(this.resolution)));
+        const segments = rings * 3;
+        const shade = (color, amount) => color.map(c => c * amount);
+        const angleAt = j => (j % segments) / segments * Math.PI * 2;
+        
+        // Top surface: concentric rings out to the coastline
+        const top = [];
+        for (let i = 0; i <= rings; i++) {
+            const ring = [];
+            for (let j = 0; j < segments; j++) {
+                const angle = angleAt(j);
+                const radius = this.getCoastRadius(angle) * i / rings;
+                const x = Math.cos(angle) * radius;
+                const z = Math.sin(angle) * radius;
+                ring.push([x, i === rings ? 0 : this.getSurfaceHeight(x, z), z]);
+            }
+            top.push(ring);
+        }
+        
+        const up = [0, 1, 0];
+        for (let i = 0; i < rings; i++) {
+            for (let j = 0; j < segments; j++) {
+                const next = (j + 1) % segments;
+                const a = top[i][j];
+                const variation = 0.9 + 0.1 * this.noise(a[0] * 3 + 50, a[2] * 3);
+                const color = shade(this.groundColor, variation);
+                if (i === 0) {
+                    builder.addTriangle(a, top[1][j], top[1][next], color, up);
+                } else {
+                    builder.addQuad(a, top[i + 1][j], top[i + 1][next], top[i][next], color, up);
+                }
+            }
+        }
+        
+        // Underside: levels shrink toward the main tip, with noise on the
+        // radius and height so the rock looks broken rather than lathed
+        const levels = rings;
+        const under = [top[rings]];
+        for (let k = 1; k < levels; k++) {
+            const t = k / levels;
+            const ring = [];
+            for (let j = 0; j < segments; j++) {
+                const angle = angleAt(j);
+                const jag = this.noise(Math.cos(angle) * 2 + 100, Math.sin(angle) * 2 + t * 6);
+                const radius = this.getCoastRadius(angle) * Math.pow(1 - t, this.taper) * (1 + this.roughness * 0.35 * jag);
+                const y = -this.height * t + this.roughness * 0.4 * (this.height / levels) * jag;
+                ring.push([Math.cos(angle) * radius, y, Math.sin(angle) * radius]);
+            }
+            under.push(ring);
+        }
+        
+        const tipOffset = this.baseSize * 0.08 * this.roughness;
+        const mainTip = [(random() - 0.5) * tipOffset, -this.height, (random() - 0.5) * tipOffset];
+        
+        const rockAt = y => {
+            const t = Math.min(1, -y / this.height * 1.6);
+            return this.dirtColor.map((c, n) => c + (this.rockColor[n] - c) * t);
+        };
+        const outwardOf = p => [p[0], -0.1, p[2]];
+        
+        for (let k = 0; k < levels; k++) {
+            for (let j = 0; j < segments; j++) {
+                const next = (j + 1) % segments;
+                const a = under[k][j];
+                const b = under[k][next];
+                const variation = 0.85 + 0.15 * this.noise(a[0] * 4 - 70, a[1] * 4);
+                const color = shade(rockAt(a[1]), variation);
+                const outward = outwardOf([(a[0] + b[0]) / 2, 0, (a[2] + b[2]) / 2]);
+                if (k === levels - 1) {
+                    builder.addTriangle(a, b, mainTip, color, outward);
+                } else {
+                    builder.addQuad(a, b, under[k + 1][next], under[k + 1][j], color, outward);
+                }
+            }
+        }
+        
+        // Extra stalactites hanging off the underside
+        for (let n = 1; n < this.tipCount; n++) {
+            const angle = random() * Math.PI * 2;
+            const t = 0.25 + random() * 0.35;
+            const anchorRadius = this.getCoastRadius(angle) * Math.pow(1 - t, this.taper) * 0.6;
+            const anchor = [Math.cos(angle) * anchorRadius, -this.height * t, Math.sin(angle) * anchorRadius];
+            const length = this.height * (0.25 + random() * 0.35);
+            const radius = this.baseSize * 0.08 * (0.6 + random() * 0.6);
+            const tip = [anchor[0] * 1.1, anchor[1] - length, anchor[2] * 1.1];
+            
+            const sides = 5;
+            const ring = [];
+            for (let s = 0; s < sides; s++) {
+                const a = s / sides * Math.PI * 2 + random();
+                ring.push([
+                    anchor[0] + Math.cos(a) * radius,
+                    anchor[1] + radius * 0.5, // Sink the base into the underside
+                    anchor[2] + Math.sin(a) * radius
+                ]);
+            }
+            for (let s = 0; s < sides; s++) {
+                const a = ring[s];
+                const b = ring[(s + 1) % sides];
+                const mid = [(a[0] + b[0]) / 2 - anchor[0], -0.1, (a[2] + b[2]) / 2 - anchor[2]];
+                builder.addTriangle(a, b, tip, shade(rockAt(tip[1]), 0.9), mid);
+            }
+        }
+        
+        this.geometry = builder.build(this.gl);
+    }
+    
+    toJSON() {
+        return Object.assign(super.toJSON(), {
+            type: 'terrain',
+            rockColor: this.rockColor.slice(),
+            terrain: {
+                resolution: this.resolution,
+                roughness: this.roughness,
+                taper: this.taper,
+                tipCount: this.tipCount
+            }
+        });
+    }
+    
+    applyJSON(data) {
+        super.applyJSON(data);
+        if (data.rockColor) this.rockColor = data.rockColor.slice();
+        
+        const terrain = data.terrain || {};
+        if (terrain.resolution !== undefined) this.resolution = terrain.resolution;
+        if (terrain.roughness !== undefined) this.roughness = terrain.roughness;
+        if (terrain.taper !== undefined) this.taper = terrain.taper;
+        if (terrain.tipCount !== undefined) this.tipCount = terrain.tipCount;
+    }
+}
+
+// Island classes by the "type" field of a scene file
+const ISLAND_TYPES = {
+    pyramid: PyramidIsland,
+    terrain: TerrainIsland
+};
+
+// Throws for a malformed island description, before any of its GPU
+// buffers exist. Unknown materials are caught here too, while loading,
+// instead of every frame.
+function validateIslandDescription(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Island descriptions must be JSON objects');
+    }
+    if (!ISLAND_TYPES[data.type || 'pyramid']) {
+        throw new Error(`Unknown island type: ${data.type}`);
+    }
+    
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+    ['baseSize', 'height', 'floatSpeed', 'floatAmplitude', 'vegetationCount'].forEach(key => {
+        if (data[key] !== undefined && !isNumber(data[key])) {
+            throw new Error(`Island "${key}" must be a number, got ${JSON.stringify(data[key])}`);
+        }
+    });
+    ['baseSize', 'height'].forEach(key => {
+        if (data[key] !== undefined && data[key] <= 0) {
+            throw new Error(`Island "${key}" must be positive, got ${data[key]}`);
+        }
+    });
+    ['position', 'groundColor', 'dirtColor', 'rockColor'].forEach(key => {
+        if (data[key] !== undefined && !isVector(data[key])) {
+            throw new Error(`Island "${key}" must be an array of 3 numbers`);
+        }
+    });
+    if (data.terrain !== undefined) {
+        ['resolution', 'roughness', 'taper', 'tipCount'].forEach(key => {
+            if (data.terrain[key] !== undefined && !isNumber(data.terrain[key])) {
+                throw new Error(`Terrain "${key}" must be a number, got ${JSON.stringify(data.terrain[key])}`);
+            }
+        });
+    }
+    resolveMaterial(data.material);
+    
+    if (data.vegetation !== undefined) {
+        if (!Array.isArray(data.vegetation)) {
+            throw new Error('Island "vegetation" must be an array');
+        }
+        data.vegetation.forEach((veg, index) => {
+            if (!veg || typeof veg !== 'object' || typeof veg.type !== 'string') {
+                throw new Error(`Vegetation entry ${index} needs a "type"`);
+            }
+            ['position', 'scale', 'color'].forEach(key => {
+                if (!isVector(veg[key])) {
+                    throw new Error(`Vegetation entry ${index} needs "${key}" as an array of 3 numbers`);
+                }
+            });
+            resolveMaterial(veg.material);
+        });
+    }
+}
+
+function islandFromJSON(gl, data, random) {
+    validateIslandDescription(data);
+    return ISLAND_TYPES[data.type || 'pyramid'].fromJSON(gl, data, random);
+}
+
+// Create sphere geometry with custom color
+function createSphereGeometry(gl, color = [1, 1, 1], segments = 12) {
+    const vertices = [];
+    const indices = [];
+    const normals = [];
+    const colors = [];
+    
+    for (let lat = 0; lat <= segments; lat++) {
+        const theta = lat * Math.PI / segments;
+        const sinTheta = Math.sin(theta);
+        const cosTheta = Math.cos(theta);
+        
+        for (let lon = 0; lon <= segments; lon++) {
+            const phi = lon * 2 * Math.PI / segments;
+            const sinPhi = Math.sin(phi);
+            const cosPhi = Math.cos(phi);
+            
+            const x = cosPhi * sinTheta;
+            const y = cosTheta;
+            const z = sinPhi * sinTheta;
+            
+            vertices.push(x, y, z);
+            normals.push(x, y, z);
+            colors.push(color[0], color[1], color[2]);
+        }
+    }
+    
+    for (let lat = 0; lat < segments; lat++) {
+        for (let lon = 0; lon < segments; lon++) {
+            const first = (lat * (segments + 1)) + lon;
+            const second = first + segments + 1;
+            
+            indices.push(first, second, first + 1);
+            indices.push(second, second + 1, first + 1);
+        }
+    }
+    
+    return new Geometry(gl, vertices, indices, normals, colors);
+}
+
+// Create cylinder geometry with custom color
+function createCylinderGeometry(gl, color = [1, 1, 1], segments = 12) {
+    const vertices = [];
+    const indices = [];
+    const normals = [];
+    const colors = [];
+    
+    // Create vertices for top and bottom circles
+    for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        const x = Math.cos(angle);
+        const z = Math.sin(angle);
+        
+        // Top circle (y = 0.5)
+        vertices.push(x, 0.5, z);
+        normals.push(x, 0, z);
+        colors.push(color[0], color[1], color[2]);
+        
+        // Bottom circle (y = -0.5)
+        vertices.push(x, -0.5, z);
+        normals.push(x, 0, z);
+        colors.push(color[0], color[1], color[2]);
+    }
+    
+    // Create side faces
+    for (let i = 0; i < segments; i++) {
+        const topLeft = i * 2;
+        const topRight = (i + 1) * 2;
+        const bottomLeft = i * 2 + 1;
+        const bottomRight = (i + 1) * 2 + 1;
+        
+        indices.push(topLeft, bottomLeft, topRight);
+        indices.push(topRight, bottomLeft, bottomRight);
     }
     
     // Add top cap (facing up)
@@ -573,194 +2043,4949 @@ function createCylinderGeometry(gl, color = [1, 1, 1], segments = 12) {
     return new Geometry(gl, vertices, indices, normals, colors);
 }
 
-class ShadowMap {
-    constructor(gl, width = 1024, height = 1024) {
+// Shape of a hanging rope between two points a horizontal distance d and
+// a height h apart: y = a * cosh((x - x0) / a) + c through (0, 0) and
+// (d, h) for a rope of the given length. Null when the rope is too short
+// to sag or the ends are (nearly) above each other.
+function solveCatenary(d, h, length) {
+    const spanLength = Math.sqrt(Math.max(0, length * length - h * h));
+    if (d < 1e-4 || spanLength <= d * (1 + 1e-6)) {
+        return null;
+    }
+    
+    // sinh(b) / b = spanLength / d with b = d / (2a), by bisection
+    const ratio = spanLength / d;
+    let low = 1e-6;
+    let high = 50;
+    for (let i = 0; i < 60; i++) {
+        const b = (low + high) / 2;
+        if (Math.sinh(b) / b < ratio) {
+            low = b;
+        } else {
+            high = b;
+        }
+    }
+    const a = d / (low + high);
+    const x0 = d / 2 - a * Math.atanh(h / length);
+    return { a, x0, c: -a * Math.cosh(x0 / a) };
+}
+
+// Hanging rope bridge between anchor points on two islands. Each end
+// bobs with its own island, so the bridge is rebuilt in world space
+// along a fresh catenary every frame; only the positions and normals are
+// re-uploaded while the plank count (and so the vertex count) stays put.
+class RopeBridge {
+    constructor(gl, islandA, islandB, options = {}) {
         this.gl = gl;
-        this.width = width;
-        this.height = height;
+        this.islands = [islandA, islandB];
         
-        // Create framebuffer
-        this.framebuffer = gl.createFramebuffer();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        // Island-local anchors, by default on the rims facing each other
+        this.explicitAnchors = Boolean(options.anchors);
+        this.anchors = [0, 1].map(i => options.anchors && options.anchors[i]
+            ? options.anchors[i].slice()
+            : this.getDefaultAnchor(i));
         
-        // Create texture for color attachment
-        this.texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
-        gl.texImage2D(
-            gl.TEXTURE_2D, 0, gl.RGBA,
-            width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null
-        );
+        this.slack = options.slack !== undefined ? options.slack : 0.05; // Extra rope length over the straight span
+        this.width = options.width !== undefined ? options.width : 0.6;
+        this.railHeight = options.railHeight !== undefined ? options.railHeight : 0.45;
+        this.plankColor = (options.plankColor || [0.55, 0.38, 0.22]).slice();
+        this.ropeColor = (options.ropeColor || [0.78, 0.68, 0.48]).slice();
+        this.material = options.material || 'bark';
+        // Throws for unknown materials
+        resolveMaterial(this.material);
         
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        // One plank per ~0.3 units of the span at rest unless given
+        const [start, end] = [0, 1].map(i => this.getAnchorPosition(i));
+        this.plankCount = options.plankCount || Math.max(2, Math.round(vec3.distance(start, end) / 0.3));
+        
+        this.geometry = null;
+        this.update();
+    }
+    
+    static fromJSON(gl, data, islandA, islandB) {
+        return new RopeBridge(gl, islandA, islandB, data);
+    }
+    
+    // Island indices are added by the scene, which knows the island list
+    toJSON() {
+        const data = {
+            slack: this.slack,
+            width: this.width,
+            railHeight: this.railHeight,
+            plankCount: this.plankCount,
+            plankColor: this.plankColor.slice(),
+            ropeColor: this.ropeColor.slice(),
+            material: this.material
+        };
+        if (this.explicitAnchors) {
+            data.anchors = this.anchors.map(anchor => anchor.slice());
+        }
+        return data;
+    }
+    
+    // Rim point of island `end` towards the other island, pulled in a
+    // little so the posts stand on the ground
+    getDefaultAnchor(end) {
+        const island = this.islands[end];
+        const other = this.islands[1 - end];
+        const angle = Math.atan2(other.position[2] - island.position[2], other.position[0] - island.position[0]);
+        const { position, normal } = island.getEdgePoint(angle);
+        const x = position[0] - normal[0] * 0.15;
+        const z = position[2] - normal[2] * 0.15;
+        return [x, island.getSurfaceHeight(x, z), z];
+    }
+    
+    // World position of an anchor as its island currently floats
+    getAnchorPosition(end, out = vec3.create()) {
+        return vec3.transformMat4(out, this.anchors[end], this.islands[end].getModelMatrix());
+    }
+    
+    // Point on the deck centerline at arc length fraction t in [0, 1] and
+    // the unit tangent there, for the current anchor positions
+    sampleDeck(curve, t, point, tangent) {
+        const { start, end, across, length, catenary } = curve;
+        if (!catenary) {
+            // Taut or vertical: a straight line
+            vec3.lerp(point, start, end, t);
+            vec3.normalize(tangent, vec3.subtract(tangent, end, start));
+            return;
+        }
+        
+        // Invert the arc length s(x) = a * (sinh((x - x0) / a) - sinh(-x0 / a))
+        const { a, x0, c } = catenary;
+        const s = t * length;
+        const x = x0 + a * Math.asinh(s / a + Math.sinh(-x0 / a));
+        const y = a * Math.cosh((x - x0) / a) + c;
+        const slope = Math.sinh((x - x0) / a);
+        vec3.set(point, start[0] + across[0] * x, start[1] + y, start[2] + across[2] * x);
+        vec3.normalize(tangent, vec3.set(tangent, across[0], slope, across[2]));
+    }
+    
+    // Rebuild the mesh for the islands' current floatOffsets
+    update() {
+        const start = this.getAnchorPosition(0);
+        const end = this.getAnchorPosition(1);
+        const across = [end[0] - start[0], 0, end[2] - start[2]];
+        const d = Math.hypot(across[0], across[2]);
+        const h = end[1] - start[1];
+        const length = vec3.distance(start, end) * (1 + this.slack);
+        const catenary = solveCatenary(d, h, length);
+        if (d > 1e-6) {
+            vec3.scale(across, across, 1 / d);
+        } else {
+            vec3.set(across, 1, 0, 0);
+        }
+        const curve = { start, end, across, length, catenary };
         
-        // Create renderbuffer for depth
-        this.depthBuffer = gl.createRenderbuffer();
-        gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
-        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        // Planks stay level across the deck
+        const up = [0, 1, 0];
+        const side = vec3.normalize(vec3.create(), [across[2], 0, -across[0]]);
+        const halfWidth = this.width / 2;
+        const builder = new MeshBuilder();
+        const point = vec3.create();
+        const tangent = vec3.create();
+        const normal = vec3.create();
         
-        // Attach texture and renderbuffer to framebuffer
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
-        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        // Planks, evenly spaced along the rope
+        const spacing = 1 / this.plankCount;
+        for (let i = 0; i < this.plankCount; i++) {
+            this.sampleDeck(curve, (i + 0.5) * spacing, point, tangent);
+            vec3.cross(normal, side, tangent);
+            if (normal[1] < 0) {
+                vec3.negate(normal, normal);
+            }
+            this.addBox(builder, point, [tangent, side, normal],
+                [spacing * length * 0.38, halfWidth, 0.025], this.plankColor);
+        }
         
-        // Check framebuffer status
-        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
-            console.error('Framebuffer incomplete');
+        // Deck ropes under the plank ends, hand rails above them and a
+        // hanger between the two at every other plank
+        const edges = [-1, 1].map(() => ({ deck: vec3.create(), rail: vec3.create() }));
+        const previous = [-1, 1].map(() => ({ deck: vec3.create(), rail: vec3.create() }));
+        for (let i = 0; i <= this.plankCount; i++) {
+            this.sampleDeck(curve, i * spacing, point, tangent);
+            [-1, 1].forEach((sign, e) => {
+                vec3.scaleAndAdd(edges[e].deck, point, side, sign * halfWidth);
+                edges[e].deck[1] -= 0.03;
+                vec3.scaleAndAdd(edges[e].rail, edges[e].deck, up, this.railHeight);
+                if (i > 0) {
+                    this.addBeam(builder, previous[e].deck, edges[e].deck, 0.015, this.ropeColor);
+                    this.addBeam(builder, previous[e].rail, edges[e].rail, 0.02, this.ropeColor);
+                }
+                if (i % 2 === 1) {
+                    this.addBeam(builder, edges[e].deck, edges[e].rail, 0.01, this.ropeColor);
+                }
+                vec3.copy(previous[e].deck, edges[e].deck);
+                vec3.copy(previous[e].rail, edges[e].rail);
+            });
+        }
+        
+        // A post on each side of both anchors holds the rail ends
+        [start, end].forEach(anchor => {
+            [-1, 1].forEach(sign => {
+                const base = vec3.scaleAndAdd(vec3.create(), anchor, side, sign * halfWidth);
+                const top = vec3.scaleAndAdd(vec3.create(), base, up, this.railHeight + 0.05);
+                base[1] -= 0.1;
+                this.addBeam(builder, base, top, 0.04, this.plankColor);
+            });
+        });
+        
+        // Same topology as last frame unless a triangle collapsed
+        if (this.geometry && this.geometry.positions.length === builder.vertices.length) {
+            this.geometry.updateVertices(builder.vertices, builder.normals);
+        } else {
+            if (this.geometry) {
+                this.geometry.dispose();
+            }
+            this.geometry = builder.build(this.gl);
+        }
+    }
+    
+    // Box around center with unit axes and half extents along each
+    addBox(builder, center, axes, halfSizes, color) {
+        const corner = (s0, s1, s2) => [0, 1, 2].map(k =>
+            center[k] + axes[0][k] * halfSizes[0] * s0 + axes[1][k] * halfSizes[1] * s1 + axes[2][k] * halfSizes[2] * s2);
+        for (let axis = 0; axis < 3; axis++) {
+            for (const sign of [-1, 1]) {
+                // The face's four corners in order around it
+                const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => {
+                    const signs = [0, 0, 0];
+                    signs[axis] = sign;
+                    signs[(axis + 1) % 3] = u;
+                    signs[(axis + 2) % 3] = v;
+                    return corner(signs[0], signs[1], signs[2]);
+                });
+                const outward = axes[axis].map(c => c * sign);
+                builder.addQuad(corners[0], corners[1], corners[2], corners[3], color, outward);
+            }
+        }
+    }
+    
+    // Square rope or post of the given radius from a to b
+    addBeam(builder, a, b, radius, color) {
+        const direction = vec3.subtract(vec3.create(), b, a);
+        const length = vec3.length(direction);
+        vec3.scale(direction, direction, 1 / length);
+        const reference = Math.abs(direction[1]) > 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const side = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), direction, reference));
+        const normal = vec3.cross(vec3.create(), side, direction);
+        const center = vec3.lerp(vec3.create(), a, b, 0.5);
+        this.addBox(builder, center, [direction, side, normal], [length / 2, radius, radius], color);
+    }
+    
+    draw(shader) {
+        shader.use();
+        
+        // Vertices are already in world space
+        this.gl.uniformMatrix4fv(shader.getUniformLocation('uModelMatrix'), false, mat4.create());
+        this.gl.uniformMatrix3fv(shader.getUniformLocation('uNormalMatrix'), false, mat3.create());
+        setMaterialUniforms(this.gl, shader, getResolvedMaterial(this));
+        this.gl.uniform4f(shader.getUniformLocation('uObjectWind'), 0, 0, 0, 0);
+        
+        this.geometry.draw(shader);
+    }
+    
+    dispose() {
+        this.geometry.dispose();
+        this.geometry = null;
+    }
+}
+
+// Settings of the streamed archipelago, as in a scene file's
+// "archipelago" block. Ranges are [min, max].
+const ARCHIPELAGO_DEFAULTS = {
+    chunkSize: 24, // World units along each side of a square chunk
+    cellsPerChunk: 2, // Per side; each cell holds at most one island
+    viewRadius: 2, // Chunks kept loaded in every direction from the camera's
+    islandsPerFrame: 1, // Generation budget, so flying doesn't stutter
+    density: 0.6, // Odds that a cell holds an island
+    sizeRange: [1.5, 5], // baseSize
+    heightRange: [0.8, 1.6], // Island height per unit of baseSize
+    altitudeRange: [-6, 6],
+    vegetationRange: [0.2, 1.0] // Vegetation pieces per square unit of baseSize
+};
+
+// Endless field of islands around the camera. Space is split into square
+// chunks whose islands come from the seed and the chunk coordinates
+// alone, so a chunk looks the same every time it streams back in. Chunks
+// are filled in nearest first within viewRadius, a few islands per frame,
+// and disposed once they fall more than a chunk beyond it, which bounds
+// the GPU memory in use.
+class Archipelago {
+    constructor(gl, options = {}, seed = generateSeed()) {
+        this.gl = gl;
+        this.seed = seed >>> 0;
+        this.settings = JSON.parse(JSON.stringify(ARCHIPELAGO_DEFAULTS));
+        this.chunks = new Map(); // "x,z" -> { x, z, islands, pendingCells }
+        this.islands = []; // Islands of all loaded chunks
+        this.applyJSON(options);
+    }
+    
+    // Values are clamped to what streams without stalling the page;
+    // anything that isn't a number keeps the current setting
+    applyJSON(data) {
+        const settings = this.settings;
+        const clamp = (value, min, max, current) =>
+            Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : current;
+        const count = (key, min, max) => {
+            settings[key] = clamp(Math.round(data[key]), min, max, settings[key]);
+        };
+        const range = (key, min, max) => {
+            if (Array.isArray(data[key]) && data[key].length === 2) {
+                const [a, b] = data[key].map((value, i) => clamp(value, min, max, settings[key][i]));
+                settings[key] = [Math.min(a, b), Math.max(a, b)];
+            }
+        };
+        
+        settings.chunkSize = clamp(data.chunkSize, 4, 256, settings.chunkSize);
+        count('cellsPerChunk', 1, 8);
+        count('viewRadius', 0, 6);
+        count('islandsPerFrame', 1, 16);
+        settings.density = clamp(data.density, 0, 1, settings.density);
+        range('sizeRange', 0.5, 50);
+        range('heightRange', 0.1, 10);
+        range('altitudeRange', -1000, 1000);
+        range('vegetationRange', 0, 5);
+        this.clear(); // Every chunk depends on the settings
+    }
+    
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.clear();
+    }
+    
+    clear() {
+        this.chunks.forEach(chunk => chunk.islands.forEach(island => island.dispose()));
+        this.chunks.clear();
+        this.islands = [];
+    }
+    
+    get chunkCount() {
+        return this.chunks.size;
+    }
+    
+    // Stream chunks around a world position. Cells too close to one of
+    // the `avoid` islands (the authored ones) stay empty.
+    update(position, avoid = []) {
+        const { chunkSize, cellsPerChunk, viewRadius } = this.settings;
+        const centerX = Math.floor(position[0] / chunkSize);
+        const centerZ = Math.floor(position[2] / chunkSize);
+        let changed = false;
+        
+        // The extra chunk of margin keeps chunks on the boundary from
+        // being rebuilt every time the camera wobbles across it
+        this.chunks.forEach((chunk, key) => {
+            if (Math.max(Math.abs(chunk.x - centerX), Math.abs(chunk.z - centerZ)) > viewRadius + 1) {
+                chunk.islands.forEach(island => island.dispose());
+                this.chunks.delete(key);
+                changed = true;
+            }
+        });
+        
+        for (let dx = -viewRadius; dx <= viewRadius; dx++) {
+            for (let dz = -viewRadius; dz <= viewRadius; dz++) {
+                const key = `${centerX + dx},${centerZ + dz}`;
+                if (!this.chunks.has(key)) {
+                    const pendingCells = Array.from({ length: cellsPerChunk * cellsPerChunk }, (_, cell) => cell);
+                    this.chunks.set(key, { x: centerX + dx, z: centerZ + dz, islands: [], pendingCells });
+                }
+            }
+        }
+        
+        // Fill the nearest unfinished chunks within the budget
+        const unfinished = Array.from(this.chunks.values())
+            .filter(chunk => chunk.pendingCells.length > 0)
+            .sort((a, b) => Math.hypot(a.x - centerX, a.z - centerZ) - Math.hypot(b.x - centerX, b.z - centerZ));
+        let budget = this.settings.islandsPerFrame;
+        for (const chunk of unfinished) {
+            while (budget > 0 && chunk.pendingCells.length > 0) {
+                const island = this.createIsland(chunk, chunk.pendingCells.shift(), avoid);
+                if (island) {
+                    chunk.islands.push(island);
+                    budget--;
+                    changed = true;
+                }
+            }
+            if (budget === 0) {
+                break;
+            }
+        }
+        
+        if (changed) {
+            this.islands = [].concat(...Array.from(this.chunks.values(), chunk => chunk.islands));
+        }
+    }
+    
+    // The island of one cell of a chunk, or null if the cell is empty
+    createIsland(chunk, cell, avoid) {
+        const { chunkSize, cellsPerChunk } = this.settings;
+        const cellSize = chunkSize / cellsPerChunk;
+        const random = createRandom(hashSeed(this.seed, chunk.x, chunk.z, cell));
+        const description = this.describeIsland(random,
+            chunk.x * chunkSize + Math.floor(cell / cellsPerChunk) * cellSize,
+            chunk.z * chunkSize + (cell % cellsPerChunk) * cellSize, cellSize);
+        if (!description || this.isCrowded(description, avoid)) {
+            return null;
+        }
+        return islandFromJSON(this.gl, description, random);
+    }
+    
+    // Scene-file description of the island in the cell with corner
+    // (x, z), or null for an empty cell
+    describeIsland(random, x, z, cellSize) {
+        const settings = this.settings;
+        const range = ([min, max]) => min + random() * (max - min);
+        if (random() >= settings.density) {
+            return null;
+        }
+        
+        // Coastlines reach up to ~0.65 baseSize from the center; with a
+        // margin to the cell walls, neighbours never touch
+        const margin = 1;
+        const baseSize = Math.max(0.5, Math.min(range(settings.sizeRange), (cellSize / 2 - margin) / 0.65));
+        const reach = Math.max(0, cellSize / 2 - margin - baseSize * 0.65);
+        const lush = random(); // From dry olive to deep green
+        const earth = random();
+        return {
+            type: random() < 0.15 ? 'pyramid' : 'terrain',
+            baseSize,
+            height: baseSize * range(settings.heightRange),
+            position: [
+                x + cellSize / 2 + (random() * 2 - 1) * reach,
+                range(settings.altitudeRange),
+                z + cellSize / 2 + (random() * 2 - 1) * reach
+            ],
+            floatSpeed: range([0.3, 0.8]),
+            floatAmplitude: range([0.05, 0.15]),
+            groundColor: [0.45 - 0.3 * lush, 0.55 + 0.1 * lush, 0.25 - 0.05 * lush],
+            dirtColor: [0.4 + 0.15 * earth, 0.27 + 0.1 * earth, 0.13 + 0.08 * earth],
+            terrain: {
+                resolution: 8 + Math.floor(random() * 5),
+                roughness: range([0.25, 0.55]),
+                taper: range([1.1, 1.8]),
+                tipCount: 1 + Math.floor(random() * 3)
+            },
+            vegetationCount: Math.round(baseSize * baseSize * range(settings.vegetationRange))
+        };
+    }
+    
+    isCrowded(description, islands) {
+        const [x, , z] = description.position;
+        return islands.some(island => Math.hypot(island.position[0] - x, island.position[2] - z)
+            < (island.baseSize + description.baseSize) * 0.65 + 2);
+    }
+    
+    dispose() {
+        this.clear();
+    }
+}
+
+// Per-frame instance data for one vegetation mesh: model matrix, color
+// (premultiplied by the material diffuse), the rest of the material
+// interleaved as specularStrength, shininess, emissive rgb, and the wind
+// vector (see PyramidIsland.getVegetationWind)
+class InstanceBatch {
+    constructor(gl, geometry) {
+        this.gl = gl;
+        this.geometry = geometry;
+        this.count = 0;
+        this.capacity = 0;
+        this.matrices = new Float32Array(0);
+        this.colors = new Float32Array(0);
+        this.materials = new Float32Array(0);
+        this.winds = new Float32Array(0);
+        this.matrixBuffer = gl.createBuffer();
+        this.colorBuffer = gl.createBuffer();
+        this.materialBuffer = gl.createBuffer();
+        this.windBuffer = gl.createBuffer();
+        this.getBuffers().forEach(buffer => getRenderStats(gl).setBufferSize(buffer, 0));
+    }
+    
+    getBuffers() {
+        return [this.matrixBuffer, this.colorBuffer, this.materialBuffer, this.windBuffer];
+    }
+    
+    reset() {
+        this.count = 0;
+    }
+    
+    add(modelMatrix, color, material, wind) {
+        if (this.count === this.capacity) {
+            this.grow(Math.max(16, this.capacity * 2));
+        }
+        const i = this.count;
+        this.matrices.set(modelMatrix, i * 16);
+        this.colors.set([color[0] * material.diffuse[0], color[1] * material.diffuse[1], color[2] * material.diffuse[2]], i * 3);
+        this.materials.set([material.specularStrength, material.shininess], i * 5);
+        this.materials.set(material.emissive, i * 5 + 2);
+        this.winds.set(wind, i * 4);
+        this.count++;
+    }
+    
+    grow(capacity) {
+        const matrices = new Float32Array(capacity * 16);
+        const colors = new Float32Array(capacity * 3);
+        const materials = new Float32Array(capacity * 5);
+        const winds = new Float32Array(capacity * 4);
+        matrices.set(this.matrices);
+        colors.set(this.colors);
+        materials.set(this.materials);
+        winds.set(this.winds);
+        this.matrices = matrices;
+        this.colors = colors;
+        this.materials = materials;
+        this.winds = winds;
+        this.capacity = capacity;
+    }
+    
+    upload() {
+        const gl = this.gl;
+        const stats = getRenderStats(gl);
+        const upload = (buffer, data) => {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+            stats.setBufferSize(buffer, data.byteLength);
+        };
+        upload(this.matrixBuffer, this.matrices.subarray(0, this.count * 16));
+        upload(this.colorBuffer, this.colors.subarray(0, this.count * 3));
+        upload(this.materialBuffer, this.materials.subarray(0, this.count * 5));
+        upload(this.windBuffer, this.winds.subarray(0, this.count * 4));
+    }
+    
+    // Point a per-instance attribute at part of a buffer (skipped when the
+    // shader doesn't use it, e.g. the shadow pass)
+    bindInstanceAttribute(shader, ext, name, buffer, size, stride, offset) {
+        const gl = this.gl;
+        const location = gl.getAttribLocation(shader.program, name);
+        if (location >= 0) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            ext.vertexAttribDivisorANGLE(location, 1);
+        }
+        return location;
+    }
+    
+    unbindInstanceAttribute(ext, location, disable = true) {
+        if (location >= 0) {
+            ext.vertexAttribDivisorANGLE(location, 0);
+            if (disable) {
+                this.gl.disableVertexAttribArray(location);
+            }
+        }
+    }
+    
+    draw(shader, ext) {
+        if (this.count === 0) {
+            return;
+        }
+        
+        const gl = this.gl;
+        const geometry = this.geometry;
+        geometry.bindAttributes(shader);
+        
+        // Color and material advance once per instance
+        const colorLocation = this.bindInstanceAttribute(shader, ext, 'aInstanceColor', this.colorBuffer, 3, 0, 0);
+        const specularLocation = this.bindInstanceAttribute(shader, ext, 'aInstanceSpecular', this.materialBuffer, 2, 20, 0);
+        const emissiveLocation = this.bindInstanceAttribute(shader, ext, 'aInstanceEmissive', this.materialBuffer, 3, 20, 8);
+        const windLocation = this.bindInstanceAttribute(shader, ext, 'aInstanceWind', this.windBuffer, 4, 0, 0);
+        
+        // A mat4 attribute occupies four consecutive vec4 locations
+        const matrixLocation = gl.getAttribLocation(shader.program, 'aInstanceMatrix');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.matrixBuffer);
+        for (let i = 0; i < 4; i++) {
+            gl.enableVertexAttribArray(matrixLocation + i);
+            gl.vertexAttribPointer(matrixLocation + i, 4, gl.FLOAT, false, 64, i * 16);
+            ext.vertexAttribDivisorANGLE(matrixLocation + i, 1);
+        }
+        
+        geometry.drawElements(ext, this.count);
+        
+        // Leave the attribute state as non-instanced draws expect it
+        for (let i = 0; i < 4; i++) {
+            ext.vertexAttribDivisorANGLE(matrixLocation + i, 0);
+            gl.disableVertexAttribArray(matrixLocation + i);
+        }
+        this.unbindInstanceAttribute(ext, colorLocation);
+        this.unbindInstanceAttribute(ext, specularLocation);
+        this.unbindInstanceAttribute(ext, emissiveLocation);
+        this.unbindInstanceAttribute(ext, windLocation);
+    }
+    
+    dispose() {
+        this.getBuffers().forEach(buffer => {
+            this.gl.deleteBuffer(buffer);
+            getRenderStats(this.gl).deleteBuffer(buffer);
+        });
+    }
+}
+
+// Draws all vegetation of one mesh type with a single instanced call.
+// Instances are gathered once per frame and shared by the shadow and main
+// passes.
+class VegetationRenderer {
+    constructor(gl, ext) {
+        this.gl = gl;
+        this.ext = ext;
+        this.batches = {};
+        this.scratchMatrix = mat4.create();
+        this.scratchWind = new Float32Array(4);
+    }
+    
+    addType(type, geometry) {
+        if (this.batches[type]) {
+            this.batches[type].dispose();
+        }
+        this.batches[type] = new InstanceBatch(this.gl, geometry);
+    }
+    
+    // Gather the instances of a pass, skipping pieces isVisible rejects
+    collect(islands, isVisible = null) {
+        Object.values(this.batches).forEach(batch => batch.reset());
+        
+        islands.forEach(island => {
+            island.vegetation.forEach(veg => {
+                const batch = this.batches[veg.type];
+                if (batch && (!isVisible || isVisible(veg))) {
+                    const material = island.getVegetationMaterial(veg);
+                    batch.add(island.getVegetationMatrix(veg, this.scratchMatrix), veg.color, material,
+                        island.getVegetationWind(veg, material, this.scratchWind));
+                }
+            });
+        });
+        
+        Object.values(this.batches).forEach(batch => batch.upload());
+    }
+    
+    draw(shader) {
+        shader.use();
+        Object.values(this.batches).forEach(batch => batch.draw(shader, this.ext));
+    }
+}
+
+// A light source in the scene. Directional lights shine along
+// position -> target from infinitely far away, point lights fall off with
+// distance, and spot lights add a cone with a soft edge between
+// innerAngle and outerAngle. Lights flagged castShadow render into the
+// ShadowMap; the one flagged orbit follows the A/D controls.
+class Light {
+    constructor(options = {}) {
+        this.type = options.type || 'point';
+        this.position = (options.position || [0, 10, 0]).slice();
+        this.target = (options.target || [0, 0, 0]).slice();
+        this.up = [0, 1, 0];
+        this.color = (options.color || [1, 1, 1]).slice();
+        this.intensity = options.intensity !== undefined ? options.intensity : 1.0;
+        this.attenuation = (options.attenuation || [1, 0, 0]).slice(); // Constant, linear, quadratic
+        this.innerAngle = (options.innerAngle !== undefined ? options.innerAngle : 20) * Math.PI / 180;
+        this.outerAngle = (options.outerAngle !== undefined ? options.outerAngle : 30) * Math.PI / 180;
+        this.castShadow = !!options.castShadow;
+        this.orbit = !!options.orbit;
+        this.sun = !!options.sun; // Directional light driven by the DayNightCycle
+        
+        // Shadow camera: perspective for point/spot (spots use their cone),
+        // orthographic box of +/- shadowExtent for directional
+        this.shadowFov = (options.shadowFov !== undefined ? options.shadowFov : 90) * Math.PI / 180;
+        this.shadowExtent = options.shadowExtent !== undefined ? options.shadowExtent : 8;
+        this.near = options.near !== undefined ? options.near : 1.0;
+        this.far = options.far !== undefined ? options.far : 25.0;
+    }
+    
+    static get TYPES() {
+        return ['directional', 'point', 'spot'];
+    }
+    
+    get typeIndex() {
+        return Light.TYPES.indexOf(this.type);
+    }
+    
+    getDirection() {
+        const direction = vec3.create();
+        vec3.subtract(direction, this.target, this.position);
+        return vec3.normalize(direction, direction);
+    }
+    
+    getViewMatrix(out = mat4.create()) {
+        // lookAt breaks down when looking straight along the up vector
+        const direction = this.getDirection();
+        const up = Math.abs(direction[1]) > 0.99 ? [0, 0, 1] : this.up;
+        return mat4.lookAt(out, this.position, this.target, up);
+    }
+    
+    getProjectionMatrix(out = mat4.create()) {
+        if (this.type === 'directional') {
+            const extent = this.shadowExtent;
+            return mat4.ortho(out, -extent, extent, -extent, extent, this.near, this.far);
+        }
+        const fov = this.type === 'spot' ? this.outerAngle * 2 : this.shadowFov;
+        return mat4.perspective(out, fov, 1.0, this.near, this.far);
+    }
+    
+    toJSON() {
+        return {
+            type: this.type,
+            position: this.position.slice(),
+            target: this.target.slice(),
+            color: this.color.slice(),
+            intensity: this.intensity,
+            attenuation: this.attenuation.slice(),
+            innerAngle: this.innerAngle * 180 / Math.PI,
+            outerAngle: this.outerAngle * 180 / Math.PI,
+            castShadow: this.castShadow,
+            orbit: this.orbit,
+            sun: this.sun,
+            shadowFov: this.shadowFov * 180 / Math.PI,
+            shadowExtent: this.shadowExtent,
+            near: this.near,
+            far: this.far
+        };
+    }
+    
+    static fromJSON(data) {
+        if (data.type !== undefined && !Light.TYPES.includes(data.type)) {
+            throw new Error(`Unknown light type: ${data.type}`);
+        }
+        return new Light(data);
+    }
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Piecewise-linear color lookup; stops are [position, [r, g, b]] sorted by position
+function sampleGradient(stops, x) {
+    if (x <= stops[0][0]) {
+        return stops[0][1].slice();
+    }
+    for (let i = 1; i < stops.length; i++) {
+        const [x1, c1] = stops[i];
+        if (x <= x1) {
+            const [x0, c0] = stops[i - 1];
+            const t = (x - x0) / (x1 - x0);
+            return c0.map((c, n) => c + (c1[n] - c) * t);
+        }
+    }
+    return stops[stops.length - 1][1].slice();
+}
+
+// Simulation clock fed with requestAnimationFrame timestamps. Simulation
+// time stops while paused and runs timeScale times faster than real time;
+// in fixed-step mode every frame advances exactly fixedStep seconds (times
+// timeScale) regardless of how long it took, so runs are reproducible.
+// realDelta keeps ticking while paused for camera movement and other input.
+class Clock {
+    constructor() {
+        this.time = 0;       // Simulation seconds
+        this.delta = 0;      // Simulation seconds in the last tick
+        this.realDelta = 0;  // Wall-clock seconds in the last tick
+        this.timeScale = 1;
+        this.paused = false;
+        this.fixedStep = null; // Seconds per frame, or null for real time
+        this.maxDelta = 0.1;   // Clamp after tab switches and breakpoints
+        this.pendingSteps = 0;
+        this.lastTimestamp = null;
+    }
+    
+    tick(timestamp = performance.now()) {
+        const elapsed = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+        this.realDelta = Math.min(Math.max(elapsed, 0), this.maxDelta);
+        
+        if (this.paused) {
+            this.delta = this.pendingSteps > 0 ? this.getStepSize() * this.timeScale : 0;
+            this.pendingSteps = Math.max(0, this.pendingSteps - 1);
+        } else {
+            this.delta = (this.fixedStep !== null ? this.fixedStep : this.realDelta) * this.timeScale;
+        }
+        this.time += this.delta;
+        return this.delta;
+    }
+    
+    getStepSize() {
+        return this.fixedStep !== null ? this.fixedStep : 1 / 60;
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+        this.pendingSteps = 0;
+    }
+    
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    // Advance one step on the next tick while paused
+    step() {
+        if (this.paused) {
+            this.pendingSteps++;
+        }
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+    
+    // Seconds per frame for deterministic runs, or null for real time
+    setFixedStep(seconds) {
+        this.fixedStep = seconds > 0 ? seconds : null;
+    }
+}
+
+// Global wind for the vegetation vertex stage. direction is in degrees
+// (0 = +x, 90 = +z), strength scales the lean, gustiness (0-1) how much
+// it pulses in waves rolling downwind and turbulence (0-1) how much
+// foliage flutters.
+class WindField {
+    constructor(options = {}) {
+        this.direction = 45;
+        this.strength = 0.4;
+        this.gustiness = 0.5;
+        this.turbulence = 0.4;
+        this.applyJSON(options);
+    }
+    
+    applyJSON(data) {
+        if (data.direction !== undefined) this.direction = data.direction;
+        if (data.strength !== undefined) this.strength = Math.max(0, data.strength);
+        if (data.gustiness !== undefined) this.gustiness = Math.max(0, Math.min(1, data.gustiness));
+        if (data.turbulence !== undefined) this.turbulence = Math.max(0, Math.min(1, data.turbulence));
+    }
+    
+    // time in seconds of simulation time
+    setUniforms(gl, shader, time) {
+        const angle = this.direction * Math.PI / 180;
+        gl.uniform4f(shader.getUniformLocation('uWind'), Math.cos(angle), Math.sin(angle), this.strength, this.gustiness);
+        gl.uniform1f(shader.getUniformLocation('uWindTurbulence'), this.turbulence);
+        gl.uniform1f(shader.getUniformLocation('uTime'), time);
+    }
+    
+    toJSON() {
+        return {
+            direction: this.direction,
+            strength: this.strength,
+            gustiness: this.gustiness,
+            turbulence: this.turbulence
+        };
+    }
+}
+
+// Time of day in hours. The sun rises at 6:00 in the east (+x), peaks at
+// noon and sets at 18:00 in the west; all colors are keyed on the sun's
+// height above the horizon.
+class DayNightCycle {
+    constructor(timeOfDay = 10, speed = 0.1) {
+        this.timeOfDay = timeOfDay;
+        this.speed = speed; // Hours per second
+        this.fogDensity = 0.015;
+        this.state = null;
+        this.computeState();
+    }
+    
+    static get SUN_COLORS() {
+        return [
+            [-0.1, [1.0, 0.35, 0.1]],
+            [0.0, [1.0, 0.45, 0.2]],
+            [0.2, [1.0, 0.8, 0.6]],
+            [0.5, [1.0, 0.96, 0.9]]
+        ];
+    }
+    
+    static get AMBIENT_COLORS() {
+        return [
+            [-0.3, [0.04, 0.05, 0.09]],
+            [-0.05, [0.08, 0.08, 0.12]],
+            [0.1, [0.2, 0.16, 0.16]],
+            [0.4, [0.2, 0.2, 0.22]]
+        ];
+    }
+    
+    static get ZENITH_COLORS() {
+        return [
+            [-0.3, [0.005, 0.01, 0.03]],
+            [-0.05, [0.08, 0.1, 0.25]],
+            [0.1, [0.25, 0.4, 0.7]],
+            [0.4, [0.2, 0.45, 0.85]]
+        ];
+    }
+    
+    static get HORIZON_COLORS() {
+        return [
+            [-0.3, [0.03, 0.04, 0.08]],
+            [-0.05, [0.35, 0.25, 0.3]],
+            [0.05, [0.95, 0.55, 0.3]],
+            [0.25, [0.75, 0.85, 0.95]],
+            [0.5, [0.53, 0.81, 0.92]]
+        ];
+    }
+    
+    setTime(hours) {
+        this.timeOfDay = ((hours % 24) + 24) % 24;
+        this.computeState();
+    }
+    
+    update(dt) {
+        this.setTime(this.timeOfDay + dt * this.speed);
+    }
+    
+    computeState() {
+        // Arc across the sky, tilted slightly south (+z)
+        const angle = (this.timeOfDay - 6) / 12 * Math.PI;
+        const sunDirection = vec3.normalize(vec3.create(), [Math.cos(angle), Math.sin(angle), 0.4]);
+        const sunHeight = sunDirection[1];
+        
+        // Daylight fades out just below the horizon; then the moon, opposite
+        // the sun, takes over with a dim blue light
+        const sunFactor = smoothstep(-0.05, 0.15, sunHeight);
+        const moonFactor = smoothstep(-0.05, -0.25, sunHeight) * 0.25;
+        const sunColor = sampleGradient(DayNightCycle.SUN_COLORS, sunHeight);
+        const moonColor = [0.6, 0.7, 1.0];
+        
+        this.state = {
+            sunDirection,
+            sunHeight,
+            sunColor: sunColor.map(c => c * sunFactor),
+            lightDirection: sunHeight > -0.05 ? sunDirection : vec3.negate(vec3.create(), sunDirection),
+            lightColor: sunColor.map((c, n) => c * sunFactor + moonColor[n] * moonFactor),
+            ambientColor: sampleGradient(DayNightCycle.AMBIENT_COLORS, sunHeight),
+            zenithColor: sampleGradient(DayNightCycle.ZENITH_COLORS, sunHeight),
+            horizonColor: sampleGradient(DayNightCycle.HORIZON_COLORS, sunHeight),
+            starVisibility: smoothstep(-0.02, -0.2, sunHeight)
+        };
+    }
+    
+    // Point a directional light along the current sun (or moon) direction
+    applyToLight(light) {
+        const { lightDirection, lightColor } = this.state;
+        light.position = light.target.map((t, n) => t + lightDirection[n] * 20);
+        light.color = lightColor;
+    }
+    
+    formatTime() {
+        const hours = Math.floor(this.timeOfDay);
+        const minutes = Math.floor((this.timeOfDay - hours) * 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    
+    toJSON() {
+        return { time: this.timeOfDay, speed: this.speed, fogDensity: this.fogDensity };
+    }
+}
+
+// Draws the sky gradient behind everything else
+class SkyRenderer {
+    constructor(gl) {
+        this.gl = gl;
+        this.shader = new Shader(gl, skyVertexShaderSource, skyFragmentShaderSource);
+        
+        // Fullscreen quad in clip space
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        getRenderStats(gl).setBufferSize(this.quadBuffer, 32);
+    }
+    
+    draw(viewMatrix, projectionMatrix, dayNight, time) {
+        const gl = this.gl;
+        const shader = this.shader;
+        const state = dayNight.state;
+        shader.use();
+        
+        // Only the view rotation matters for sky directions
+        const rotation = mat4.clone(viewMatrix);
+        rotation[12] = rotation[13] = rotation[14] = 0;
+        const inverseViewProjection = mat4.multiply(mat4.create(), projectionMatrix, rotation);
+        mat4.invert(inverseViewProjection, inverseViewProjection);
+        
+        gl.uniformMatrix4fv(shader.getUniformLocation('uInverseViewProjection'), false, inverseViewProjection);
+        gl.uniform3fv(shader.getUniformLocation('uZenithColor'), state.zenithColor);
+        gl.uniform3fv(shader.getUniformLocation('uHorizonColor'), state.horizonColor);
+        gl.uniform3fv(shader.getUniformLocation('uSunDirection'), state.sunDirection);
+        gl.uniform3fv(shader.getUniformLocation('uSunColor'), state.sunColor);
+        gl.uniform1f(shader.getUniformLocation('uStarVisibility'), state.starVisibility);
+        gl.uniform1f(shader.getUniformLocation('uTime'), time);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        
+        // Behind everything, without touching the depth buffer
+        gl.disable(gl.DEPTH_TEST);
+        gl.depthMask(false);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        getRenderStats(gl).countDraw(gl.TRIANGLE_STRIP, 4);
+        gl.depthMask(true);
+        gl.enable(gl.DEPTH_TEST);
+    }
+}
+
+// Starting points for emitter descriptions, e.g. { preset: 'rain', rate: 900 }.
+// Edge emitters spill over an island's rim at `angle` (degrees); box
+// emitters spawn inside min/max, relative to the island when attached.
+const PARTICLE_PRESETS = {
+    waterfall: {
+        shape: 'edge', angle: 0, width: 0.4, outwardSpeed: 0.6,
+        rate: 120, lifetime: [1.6, 2.2],
+        velocity: [0, 0.3, 0], spread: [0.08, 0.1, 0.08], gravity: [0, -4, 0],
+        size: [0.12, 0.4],
+        colors: [[0.75, 0.88, 1.0, 0.9], [0.65, 0.8, 1.0, 0.7], [0.9, 0.95, 1.0, 0.35], [1.0, 1.0, 1.0, 0.0]]
+    },
+    clouds: {
+        shape: 'box', min: [-4, -2.5, -4], max: [4, -0.5, 4],
+        rate: 3, lifetime: [8, 12],
+        velocity: [0.15, 0, 0.05], spread: [0.05, 0.02, 0.05], gravity: [0, 0, 0],
+        size: [1.5, 2.5],
+        colors: [[1, 1, 1, 0], [1, 1, 1, 0.35], [1, 1, 1, 0.3], [1, 1, 1, 0]]
+    },
+    rain: {
+        shape: 'box', min: [-12, 9, -12], max: [12, 10, 12],
+        rate: 600, lifetime: [1.2, 1.4],
+        velocity: [0, -8, 0], spread: [0.3, 1, 0.3], gravity: [0, -2, 0],
+        size: [0.06, 0.06],
+        colors: [[0.7, 0.75, 0.85, 0.6], [0.7, 0.75, 0.85, 0.6], [0.7, 0.75, 0.85, 0.6], [0.7, 0.75, 0.85, 0.0]]
+    },
+    snow: {
+        shape: 'box', min: [-12, 9, -12], max: [12, 10, 12],
+        rate: 200, lifetime: [6, 8],
+        velocity: [0, -1.2, 0], spread: [0.4, 0.2, 0.4], gravity: [0, 0, 0],
+        size: [0.1, 0.1],
+        colors: [[1, 1, 1, 0.9], [1, 1, 1, 0.9], [1, 1, 1, 0.9], [1, 1, 1, 0.0]]
+    }
+};
+
+// What setWeather and scene files accept; the others are presets too
+const WEATHER_TYPES = ['none', 'rain', 'snow'];
+
+// Vertex layout: position (3), velocity (3), corner (2), spawn time and lifetime (2)
+const PARTICLE_VERTEX_FLOATS = 10;
+const PARTICLE_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+const MAX_PARTICLES_PER_EMITTER = 16384; // 4 vertices each within 16-bit indices
+
+// Spawns particles into a ring buffer; the GPU does the rest. An emitter
+// attached to an island spawns relative to the island's current position,
+// so it follows the floatOffset bobbing.
+class ParticleEmitter {
+    constructor(gl, options = {}, island = null, random = createRandom(generateSeed())) {
+        const preset = options.preset ? PARTICLE_PRESETS[options.preset] : {};
+        if (!preset) {
+            throw new Error(`Unknown particle preset: ${options.preset}`);
+        }
+        const settings = Object.assign({}, PARTICLE_PRESETS.clouds, preset, options);
+        if (settings.shape !== 'edge' && settings.shape !== 'box') {
+            throw new Error(`Unknown emitter shape: ${settings.shape}`);
+        }
+        if (settings.shape === 'edge' && !island) {
+            throw new Error('Edge emitters need an island');
+        }
+        
+        this.gl = gl;
+        this.island = island;
+        this.preset = options.preset || null;
+        this.shape = settings.shape;
+        this.angle = settings.angle; // Degrees around the island, from +x towards +z
+        this.width = settings.width;
+        this.outwardSpeed = settings.outwardSpeed;
+        this.min = settings.min.slice();
+        this.max = settings.max.slice();
+        this.rate = settings.rate; // Particles per second
+        this.lifetime = settings.lifetime.slice(); // [min, max] seconds
+        this.velocity = settings.velocity.slice();
+        this.spread = settings.spread.slice(); // Random +/- per axis
+        this.gravity = settings.gravity.slice();
+        this.size = settings.size.slice(); // [birth, death]
+        this.colors = settings.colors.map(color => color.slice());
+        this.enabled = settings.enabled !== false;
+        
+        // Enough room for everything alive at the configured rate
+        this.capacity = Math.min(MAX_PARTICLES_PER_EMITTER,
+            settings.maxParticles || Math.ceil(this.rate * this.lifetime[1]) + 1);
+        this.random = random;
+        this.next = 0;
+        this.spawnDebt = 0;
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = -1;
+        
+        // Everything starts dead (lifetime 0)
+        this.data = new Float32Array(this.capacity * 4 * PARTICLE_VERTEX_FLOATS);
+        for (let i = 0; i < this.capacity * 4; i++) {
+            const corner = PARTICLE_CORNERS[i % 4];
+            this.data[i * PARTICLE_VERTEX_FLOATS + 6] = corner[0];
+            this.data[i * PARTICLE_VERTEX_FLOATS + 7] = corner[1];
+            this.data[i * PARTICLE_VERTEX_FLOATS + 8] = -1;
+        }
+        this.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.data, gl.DYNAMIC_DRAW);
+        getRenderStats(gl).setBufferSize(this.buffer, this.data.byteLength);
+    }
+    
+    // Color stops resampled to the four the shader interpolates between
+    getColorStops() {
+        const last = this.colors.length - 1;
+        const stops = this.colors.map((color, i) => [last > 0 ? i / last : 0, color]);
+        return [0, 1 / 3, 2 / 3, 1].map(t => sampleGradient(stops, t));
+    }
+    
+    getOrigin() {
+        if (!this.island) {
+            return [0, 0, 0];
+        }
+        const [x, y, z] = this.island.position;
+        return [x, y + this.island.floatOffset, z];
+    }
+    
+    update(dt, time) {
+        if (!this.enabled) {
+            return;
+        }
+        
+        // Spread spawn times over the frame so bursts don't band
+        this.spawnDebt += this.rate * dt;
+        while (this.spawnDebt >= 1) {
+            this.spawnDebt -= 1;
+            this.spawn(time - this.spawnDebt / this.rate);
+        }
+    }
+    
+    spawn(time) {
+        const random = this.random;
+        const jitter = i => (random() * 2 - 1) * this.spread[i];
+        const origin = this.getOrigin();
+        const position = [0, 0, 0];
+        const velocity = this.velocity.map((v, i) => v + jitter(i));
+        
+        if (this.shape === 'edge') {
+            const edge = this.island.getEdgePoint(this.angle * Math.PI / 180);
+            const along = (random() - 0.5) * this.width;
+            // Tangent is the normal turned a quarter around y
+            position[0] = origin[0] + edge.position[0] - edge.normal[2] * along;
+            position[1] = origin[1] + edge.position[1];
+            position[2] = origin[2] + edge.position[2] + edge.normal[0] * along;
+            velocity[0] += edge.normal[0] * this.outwardSpeed;
+            velocity[2] += edge.normal[2] * this.outwardSpeed;
+        } else {
+            for (let i = 0; i < 3; i++) {
+                position[i] = origin[i] + this.min[i] + random() * (this.max[i] - this.min[i]);
+            }
+        }
+        const lifetime = this.lifetime[0] + random() * (this.lifetime[1] - this.lifetime[0]);
+        
+        const index = this.next;
+        for (let corner = 0; corner < 4; corner++) {
+            const offset = (index * 4 + corner) * PARTICLE_VERTEX_FLOATS;
+            this.data.set(position, offset);
+            this.data.set(velocity, offset + 3);
+            this.data[offset + 8] = time;
+            this.data[offset + 9] = lifetime;
+        }
+        this.dirtyStart = Math.min(this.dirtyStart, index);
+        this.dirtyEnd = Math.max(this.dirtyEnd, index);
+        this.next = (index + 1) % this.capacity;
+    }
+    
+    // Upload the particles spawned since the last frame
+    upload() {
+        if (this.dirtyEnd < 0) {
+            return;
+        }
+        const gl = this.gl;
+        const floatsPerParticle = 4 * PARTICLE_VERTEX_FLOATS;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, this.dirtyStart * floatsPerParticle * 4,
+            this.data.subarray(this.dirtyStart * floatsPerParticle, (this.dirtyEnd + 1) * floatsPerParticle));
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = -1;
+    }
+    
+    toJSON() {
+        return {
+            shape: this.shape,
+            angle: this.angle,
+            width: this.width,
+            outwardSpeed: this.outwardSpeed,
+            min: this.min.slice(),
+            max: this.max.slice(),
+            rate: this.rate,
+            lifetime: this.lifetime.slice(),
+            velocity: this.velocity.slice(),
+            spread: this.spread.slice(),
+            gravity: this.gravity.slice(),
+            size: this.size.slice(),
+            colors: this.colors.map(color => color.slice()),
+            enabled: this.enabled
+        };
+    }
+    
+    dispose() {
+        this.gl.deleteBuffer(this.buffer);
+        getRenderStats(this.gl).deleteBuffer(this.buffer);
+    }
+}
+
+// Owns the emitters and draws them as alpha-blended billboards after the
+// opaque geometry, testing against but not writing depth
+class ParticleSystem {
+    constructor(gl) {
+        this.gl = gl;
+        this.shader = new Shader(gl, particleVertexShaderSource, particleFragmentShaderSource);
+        this.emitters = [];
+        this.time = 0; // Seconds
+        
+        // One index buffer serves every emitter: two triangles per particle
+        const indices = new Uint16Array(MAX_PARTICLES_PER_EMITTER * 6);
+        for (let i = 0; i < MAX_PARTICLES_PER_EMITTER; i++) {
+            const v = i * 4;
+            indices.set([v, v + 1, v + 2, v, v + 2, v + 3], i * 6);
+        }
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+        getRenderStats(gl).setBufferSize(this.indexBuffer, indices.byteLength);
+    }
+    
+    addEmitter(emitter) {
+        this.emitters.push(emitter);
+        return emitter;
+    }
+    
+    removeEmitter(emitter) {
+        const index = this.emitters.indexOf(emitter);
+        if (index >= 0) {
+            this.emitters.splice(index, 1);
+            emitter.dispose();
+        }
+    }
+    
+    clear() {
+        this.emitters.forEach(emitter => emitter.dispose());
+        this.emitters = [];
+    }
+    
+    update(dt) {
+        this.time += dt;
+        this.emitters.forEach(emitter => emitter.update(dt, this.time));
+    }
+    
+    draw(viewMatrix, projectionMatrix, { tint, fogColor, fogDensity }) {
+        const gl = this.gl;
+        const shader = this.shader;
+        shader.use();
+        
+        gl.uniformMatrix4fv(shader.getUniformLocation('uViewMatrix'), false, viewMatrix);
+        gl.uniformMatrix4fv(shader.getUniformLocation('uProjectionMatrix'), false, projectionMatrix);
+        gl.uniform1f(shader.getUniformLocation('uTime'), this.time);
+        gl.uniform3fv(shader.getUniformLocation('uTint'), tint);
+        gl.uniform3fv(shader.getUniformLocation('uFogColor'), fogColor);
+        gl.uniform1f(shader.getUniformLocation('uFogDensity'), fogDensity);
+        
+        const stride = PARTICLE_VERTEX_FLOATS * 4;
+        const attributes = [['aPosition', 3, 0], ['aVelocity', 3, 12], ['aCorner', 2, 24], ['aLife', 2, 32]]
+            .map(([name, size, offset]) => [gl.getAttribLocation(shader.program, name), size, offset])
+            .filter(([location]) => location >= 0);
+        
+        gl.enable(gl.BLEND);
+        // Keep destination alpha opaque so captured images have no holes
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+        gl.disable(gl.CULL_FACE);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        
+        this.emitters.forEach(emitter => {
+            emitter.upload();
+            gl.bindBuffer(gl.ARRAY_BUFFER, emitter.buffer);
+            attributes.forEach(([location, size, offset]) => {
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            });
+            
+            gl.uniform3fv(shader.getUniformLocation('uGravity'), emitter.gravity);
+            gl.uniform2fv(shader.getUniformLocation('uSize'), emitter.size);
+            gl.uniform4fv(shader.getUniformLocation('uColors'), [].concat(...emitter.getColorStops()));
+            gl.drawElements(gl.TRIANGLES, emitter.capacity * 6, gl.UNSIGNED_SHORT, 0);
+            getRenderStats(gl).countDraw(gl.TRIANGLES, emitter.capacity * 6);
+        });
+        
+        // Leave attribute 0 enabled for the next frame's meshes
+        attributes.forEach(([location]) => location !== 0 && gl.disableVertexAttribArray(location));
+        gl.enable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    }
+    
+    dispose() {
+        this.clear();
+        this.gl.deleteBuffer(this.indexBuffer);
+        getRenderStats(this.gl).deleteBuffer(this.indexBuffer);
+    }
+}
+
+// Offscreen color (+ depth) framebuffer for rendering the scene somewhere
+// other than the canvas. type is the color texture's pixel type, e.g.
+// HALF_FLOAT_OES for HDR; check complete before relying on exotic types.
+class RenderTarget {
+    constructor(gl, width, height, { type = gl.UNSIGNED_BYTE, depth = true } = {}) {
+        this.gl = gl;
+        this.type = type;
+        this.framebuffer = gl.createFramebuffer();
+        this.texture = gl.createTexture();
+        this.depthBuffer = depth ? gl.createRenderbuffer() : null;
+        this.width = 0;
+        this.height = 0;
+        this.complete = false;
+        this.resize(width, height);
+    }
+    
+    resize(width, height) {
+        if (width === this.width && height === this.height) {
+            return;
+        }
+        const gl = this.gl;
+        this.width = width;
+        this.height = height;
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, this.type, null);
+        const texelBytes = this.type === gl.UNSIGNED_BYTE ? 4 : this.type === gl.FLOAT ? 16 : 8;
+        getRenderStats(gl).setAttachmentSize(this.texture, width * height * texelBytes);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        if (this.depthBuffer) {
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+            getRenderStats(gl).setAttachmentSize(this.depthBuffer, width * height * 2);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        }
+        this.complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    bind() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+    
+    dispose() {
+        const gl = this.gl;
+        gl.deleteFramebuffer(this.framebuffer);
+        gl.deleteTexture(this.texture);
+        getRenderStats(gl).deleteAttachment(this.texture);
+        if (this.depthBuffer) {
+            gl.deleteRenderbuffer(this.depthBuffer);
+            getRenderStats(gl).deleteAttachment(this.depthBuffer);
+        }
+    }
+}
+
+// A post-processing step: one fullscreen draw of a fragment shader over
+// the previous result. setUniforms(gl, shader, pass) adds its parameters.
+class ShaderPass {
+    constructor(gl, name, fragmentSource, setUniforms = null) {
+        this.name = name;
+        this.enabled = true;
+        this.shader = new Shader(gl, postVertexShaderSource, fragmentSource);
+        this.setUniforms = setUniforms;
+    }
+    
+    render(post, inputTexture, output) {
+        post.drawQuad(this.shader, { uInput: inputTexture }, output, shader => {
+            if (this.setUniforms) {
+                this.setUniforms(post.gl, shader, this);
+            }
+        });
+    }
+    
+    resize() {}
+    
+    dispose() {
+        this.shader.dispose();
+    }
+}
+
+// Bright pass into a half-resolution target, blurred both ways and added
+// back on top of the input
+class BloomPass {
+    constructor(gl, width, height) {
+        this.name = 'bloom';
+        this.enabled = true;
+        this.threshold = 0.85;
+        this.intensity = 0.6;
+        this.brightShader = new Shader(gl, postVertexShaderSource, bloomBrightFragmentShaderSource);
+        this.blurShader = new Shader(gl, postVertexShaderSource, bloomBlurFragmentShaderSource);
+        this.compositeShader = new Shader(gl, postVertexShaderSource, bloomCompositeFragmentShaderSource);
+        this.targets = [0, 1].map(() => new RenderTarget(gl, 1, 1, { depth: false }));
+        this.resize(width, height);
+    }
+    
+    resize(width, height) {
+        this.targets.forEach(target => target.resize(Math.max(1, width >> 1), Math.max(1, height >> 1)));
+    }
+    
+    render(post, inputTexture, output) {
+        const gl = post.gl;
+        const [a, b] = this.targets;
+        
+        post.drawQuad(this.brightShader, { uInput: inputTexture }, a, shader => {
+            gl.uniform1f(shader.getUniformLocation('uThreshold'), this.threshold);
+        });
+        post.drawQuad(this.blurShader, { uInput: a.texture }, b, shader => {
+            gl.uniform2f(shader.getUniformLocation('uDirection'), 1 / a.width, 0);
+        });
+        post.drawQuad(this.blurShader, { uInput: b.texture }, a, shader => {
+            gl.uniform2f(shader.getUniformLocation('uDirection'), 0, 1 / a.height);
+        });
+        post.drawQuad(this.compositeShader, { uInput: inputTexture, uBloom: a.texture }, output, shader => {
+            gl.uniform1f(shader.getUniformLocation('uIntensity'), this.intensity);
+        });
+    }
+    
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        [this.brightShader, this.blurShader, this.compositeShader].forEach(shader => shader.dispose());
+    }
+}
+
+// The main pass renders into sceneTarget (half-float HDR where supported);
+// the enabled passes then run in order, ping-ponging between two targets,
+// and the last one writes to the output (the canvas by default).
+// Passes are anything with name, enabled, render(post, inputTexture,
+// output) and resize(width, height).
+class PostProcessor {
+    constructor(gl, width, height) {
+        this.gl = gl;
+        this.enabled = true;
+        this.width = width;
+        this.height = height;
+        this.passes = [];
+        
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        getRenderStats(gl).setBufferSize(this.quadBuffer, 32);
+        this.copyShader = new Shader(gl, postVertexShaderSource, postCopyFragmentShaderSource);
+        
+        this.sceneTarget = this.createSceneTarget(width, height);
+        this.pingPong = [0, 1].map(() => new RenderTarget(gl, width, height, { depth: false }));
+        
+        // Defaults, in order
+        this.addPass(new BloomPass(gl, width, height));
+        this.addPass(new ShaderPass(gl, 'toneMapping', toneMappingFragmentShaderSource, (gl, shader, pass) => {
+            gl.uniform1f(shader.getUniformLocation('uExposure'), pass.exposure);
+        }));
+        this.getPass('toneMapping').exposure = 1.0;
+        this.addPass(new ShaderPass(gl, 'vignette', vignetteFragmentShaderSource, (gl, shader, pass) => {
+            gl.uniform1f(shader.getUniformLocation('uStrength'), pass.strength);
+            gl.uniform1f(shader.getUniformLocation('uRadius'), pass.radius);
+        }));
+        Object.assign(this.getPass('vignette'), { strength: 0.35, radius: 0.5 });
+        this.addPass(new ShaderPass(gl, 'fxaa', fxaaFragmentShaderSource));
+    }
+    
+    // Half-float color keeps highlights above 1.0 for bloom and tone
+    // mapping; plain bytes where it isn't renderable and filterable
+    createSceneTarget(width, height) {
+        const gl = this.gl;
+        const halfFloat = gl.getExtension('OES_texture_half_float');
+        const linear = gl.getExtension('OES_texture_half_float_linear');
+        gl.getExtension('EXT_color_buffer_half_float');
+        if (halfFloat && linear) {
+            const target = new RenderTarget(gl, width, height, { type: halfFloat.HALF_FLOAT_OES });
+            if (target.complete) {
+                return target;
+            }
+            target.dispose();
+        }
+        return new RenderTarget(gl, width, height);
+    }
+    
+    // Insert a pass, at the end or before the named one
+    addPass(pass, { before } = {}) {
+        if (this.getPass(pass.name)) {
+            throw new Error(`A post-processing pass named ${pass.name} already exists`);
+        }
+        const index = before ? this.passes.findIndex(other => other.name === before) : -1;
+        if (index >= 0) {
+            this.passes.splice(index, 0, pass);
+        } else {
+            this.passes.push(pass);
+        }
+        if (pass.resize) {
+            pass.resize(this.width, this.height);
+        }
+        return pass;
+    }
+    
+    removePass(name) {
+        const pass = this.getPass(name);
+        if (pass) {
+            this.passes.splice(this.passes.indexOf(pass), 1);
+            pass.dispose();
+        }
+    }
+    
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name) || null;
+    }
+    
+    setPassEnabled(name, enabled) {
+        const pass = this.getPass(name);
+        if (!pass) {
+            console.warn(`Unknown post-processing pass: ${name}`);
+            return;
+        }
+        pass.enabled = enabled;
+    }
+    
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.sceneTarget.resize(width, height);
+        this.pingPong.forEach(target => target.resize(width, height));
+        this.passes.forEach(pass => pass.resize && pass.resize(width, height));
+    }
+    
+    // Fullscreen draw into output (a RenderTarget, or null for the canvas).
+    // textures maps sampler names to textures, bound to units in order.
+    drawQuad(shader, textures, output, setUniforms = null) {
+        const gl = this.gl;
+        if (output) {
+            output.bind();
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        }
+        shader.use();
+        
+        Object.entries(textures).forEach(([name, texture], unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(shader.getUniformLocation(name), unit);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+        const width = output ? output.width : gl.drawingBufferWidth;
+        const height = output ? output.height : gl.drawingBufferHeight;
+        gl.uniform2f(shader.getUniformLocation('uResolution'), width, height);
+        if (setUniforms) {
+            setUniforms(shader);
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        gl.disable(gl.DEPTH_TEST);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        getRenderStats(gl).countDraw(gl.TRIANGLE_STRIP, 4);
+        gl.enable(gl.DEPTH_TEST);
+    }
+    
+    // Run the enabled passes over sceneTarget into output
+    render(output = null) {
+        const passes = this.passes.filter(pass => pass.enabled);
+        if (passes.length === 0) {
+            this.drawQuad(this.copyShader, { uInput: this.sceneTarget.texture }, output);
+            return;
+        }
+        
+        let input = this.sceneTarget;
+        passes.forEach((pass, index) => {
+            const target = index === passes.length - 1 ? output : this.pingPong[index % 2];
+            pass.render(this, input.texture, target);
+            input = target;
+        });
+    }
+    
+    dispose() {
+        this.passes.forEach(pass => pass.dispose());
+        this.sceneTarget.dispose();
+        this.pingPong.forEach(target => target.dispose());
+        this.copyShader.dispose();
+        this.gl.deleteBuffer(this.quadBuffer);
+        getRenderStats(this.gl).deleteBuffer(this.quadBuffer);
+    }
+}
+
+class ShadowMap {
+    constructor(gl, width = 1024, height = 1024) {
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+        
+        // Sample real depth when the extension is there, otherwise the
+        // shadow shader packs depth into the RGBA color texture
+        this.depthTextureExtension = gl.getExtension('WEBGL_depth_texture');
+        this.depthTexture = null;
+        this.depthBuffer = null;
+        
+        // Create framebuffer
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        
+        // Create texture for color attachment (packed depth)
+        this.texture = this.createTexture(gl.RGBA, gl.UNSIGNED_BYTE);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        
+        if (this.depthTextureExtension) {
+            // Create texture for depth attachment
+            this.depthTexture = this.createTexture(gl.DEPTH_COMPONENT, gl.UNSIGNED_INT);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.depthTexture, 0);
+        } else {
+            // Create renderbuffer for depth
+            this.depthBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+            getRenderStats(gl).setAttachmentSize(this.depthBuffer, width * height * 2);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        }
+        
+        // Check framebuffer status
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            console.error('Framebuffer incomplete');
+        }
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        // Create shadow shaders
+        this.shader = new Shader(gl, shadowVertexShaderSource, shadowFragmentShaderSource);
+        this.instancedShader = new Shader(gl, withDefines(shadowVertexShaderSource, ['INSTANCED']), shadowFragmentShaderSource);
+    }
+    
+    createTexture(format, type) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format, this.width, this.height, 0, format, type, null);
+        // RGBA bytes or 32-bit depth, four bytes a texel either way
+        getRenderStats(gl).setAttachmentSize(texture, this.width * this.height * 4);
+        
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+    
+    // Texture holding light-space depth and whether it needs unpacking
+    get depthSource() {
+        return this.depthTexture || this.texture;
+    }
+    
+    get usesDepthTexture() {
+        return this.depthTexture !== null;
+    }
+    
+    begin() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        gl.clearColor(1.0, 1.0, 1.0, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        this.shader.use();
+    }
+    
+    // Back to the default framebuffer at its real size
+    end() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+}
+
+// Scene description format
+// Bump SCENE_FORMAT_VERSION whenever the layout changes and teach
+// migrateSceneDescription() to upgrade files written by older versions.
+// Angles (camera fov, light cones) are stored in degrees, everything else
+// in world units.
+// An optional top-level "seed" makes randomly scattered vegetation
+// (islands with vegetationCount instead of a vegetation list) reproducible.
+// Islands have a "type": "pyramid" (the default) or "terrain", which also
+// reads "rockColor" and a "terrain" block (resolution, roughness, taper,
+// tipCount). "vegetationWeights" sets the odds for vegetationCount (see
+// DEFAULT_VEGETATION_WEIGHTS), and a top-level "models" block maps
+// vegetation type names to glTF/OBJ models ({ url, height or scale, color,
+// mtl, material, sway }) that vegetation entries and weights can then use;
+// material and sway are given to the pieces weights place. An optional
+// "wind" block sets direction (degrees), strength, gustiness and
+// turbulence (see WindField); vegetation entries may carry "sway" to
+// scale their material's wind response. An optional "bridges" array hangs
+// rope bridges between islands: "islands" holds two indices into
+// "islands", and "anchors" (island-local points, default on the facing
+// rims), slack, width, railHeight, plankCount, plankColor, ropeColor and
+// material are optional (see RopeBridge.toJSON). An optional "archipelago"
+// block streams endless procedural islands around the camera (see
+// ARCHIPELAGO_DEFAULTS for its settings); they come from the seed and
+// are not saved island by island.
+// Version history:
+//   1 - single shadow-casting light described by "light"
+//   2 - "lights" array (see Light.toJSON); "light" keeps only the orbit
+//       (rotation, height, orbitRadius) applied to the light with orbit set.
+//       Optional "dayNight" block: time (hours), speed (hours per second),
+//       fogDensity; lights with "sun" set follow the sun. Optional
+//       "particles" array of emitters (see PARTICLE_PRESETS and
+//       ParticleEmitter.toJSON) with "island" as an index into "islands",
+//       and "weather" ('none', 'rain' or 'snow').
+//   3 - "camera" holds "mode" ('orbit' or 'fly'), an "orbit" block (yaw,
+//       pitch, distance, target) and a "fly" block (position, yaw, pitch)
+//       next to fov/near/far. Optional "cameraPresets" maps names to orbit
+//       blocks and "cameraPath" holds a flythrough (see CameraPath.toJSON).
+const SCENE_FORMAT_VERSION = 3;
+
+const DEFAULT_SCENE = {
+    version: SCENE_FORMAT_VERSION,
+    camera: {
+        mode: 'orbit',
+        orbit: { yaw: 0, pitch: 18.43, distance: 15.81, target: [0, 0, 0] },
+        fov: 45, near: 0.1, far: 100.0
+    },
+    cameraPresets: {
+        overview: { yaw: 0, pitch: 18.43, distance: 15.81, target: [0, 0, 0] },
+        'left island': { yaw: 35, pitch: 25, distance: 8, target: [-4, 0, 0] },
+        'right island': { yaw: -35, pitch: 25, distance: 7, target: [4, 0, 0] },
+        underside: { yaw: 20, pitch: -35, distance: 14, target: [0, -1, 0] },
+        'top down': { yaw: 0, pitch: 80, distance: 18, target: [0, 0, 0] }
+    },
+    light: { rotation: Math.PI / 4, height: 10, orbitRadius: 8 },
+    dayNight: { time: 10, speed: 0.1, fogDensity: 0.015 },
+    weather: 'none',
+    particles: [
+        { preset: 'waterfall', island: 0, angle: 60 },
+        { preset: 'waterfall', island: 1, angle: 200, rate: 80, width: 0.3 },
+        { preset: 'clouds', island: 0 },
+        { preset: 'clouds', island: 1, min: [-3, -2, -3], max: [3, -0.5, 3] }
+    ],
+    bridges: [
+        { islands: [0, 1] }
+    ],
+    lights: [
+        // Key spotlight, orbits with A/D and casts the shadows
+        {
+            type: 'spot', color: [1.0, 0.97, 0.9], intensity: 1.0,
+            innerAngle: 22, outerAngle: 30, castShadow: true, orbit: true,
+            near: 1.0, far: 25.0
+        },
+        // Sun (and moon), moved and colored by the day/night cycle
+        {
+            type: 'directional', position: [-6, 8, -6], target: [0, 0, 0],
+            color: [0.6, 0.7, 1.0], intensity: 0.6, sun: true
+        },
+        // Warm glow hanging between the islands
+        {
+            type: 'point', position: [0, 1.5, 0], color: [1.0, 0.6, 0.3], intensity: 0.8,
+            attenuation: [1.0, 0.14, 0.07]
+        }
+    ],
+    islands: [
+        {
+            type: 'terrain',
+            baseSize: 3.0,
+            height: 4.0,
+            position: [-4, 0, 0],
+            floatSpeed: 0.4,
+            floatAmplitude: 0.08,
+            groundColor: [0.2, 0.7, 0.3],  // Bright green grass
+            dirtColor: [0.45, 0.3, 0.15],  // Brown dirt
+            terrain: { resolution: 14, roughness: 0.35, taper: 1.6, tipCount: 3 },
+            vegetationCount: 12
+        },
+        {
+            type: 'terrain',
+            baseSize: 2.5,
+            height: 3.5,
+            position: [4, 0, 0],
+            floatSpeed: 0.6,
+            floatAmplitude: 0.12,
+            groundColor: [0.25, 0.65, 0.25], // Darker green grass
+            dirtColor: [0.5, 0.35, 0.2],     // Lighter brown dirt
+            terrain: { resolution: 12, roughness: 0.45, taper: 1.3, tipCount: 2 },
+            vegetationCount: 10
+        }
+    ]
+};
+
+// Validate a parsed scene file and bring it up to SCENE_FORMAT_VERSION
+function migrateSceneDescription(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Scene description must be a JSON object');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(`Scene description has an invalid version: ${data.version}`);
+    }
+    if (data.version > SCENE_FORMAT_VERSION) {
+        throw new Error(`Scene format version ${data.version} is newer than this viewer supports (${SCENE_FORMAT_VERSION})`);
+    }
+    if (!Array.isArray(data.islands)) {
+        throw new Error('Scene description needs an "islands" array');
+    }
+    
+    if (data.version === 1) {
+        // v1's light was an unattenuated point light with a shadow frustum
+        const light = data.light || {};
+        data = Object.assign({}, data, {
+            version: 2,
+            light: { rotation: light.rotation, height: light.height, orbitRadius: light.orbitRadius },
+            lights: [{
+                type: 'point',
+                castShadow: true,
+                orbit: true,
+                shadowFov: light.fov !== undefined ? light.fov : 60,
+                near: light.near,
+                far: light.far
+            }]
+        });
+    }
+    
+    if (!Array.isArray(data.lights)) {
+        throw new Error('Scene description needs a "lights" array');
+    }
+    
+    if (data.version === 2) {
+        // v2 orbited at a fixed height, shifted along x by "x"; angle in radians
+        const camera = data.camera || {};
+        const distance = camera.distance !== undefined ? camera.distance : 15;
+        const height = camera.height !== undefined ? camera.height : 5;
+        data = Object.assign({}, data, {
+            version: 3,
+            camera: {
+                mode: 'orbit',
+                orbit: {
+                    yaw: (camera.angle || 0) * 180 / Math.PI,
+                    pitch: Math.atan2(height, distance) * 180 / Math.PI,
+                    distance: Math.hypot(height, distance),
+                    target: [camera.x || 0, 0, 0]
+                },
+                fov: camera.fov,
+                near: camera.near,
+                far: camera.far
+            }
+        });
+    }
+    return data;
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Easing curves by name, as used in camera path files
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: easeInOutCubic
+};
+
+// Uniform Catmull-Rom between p1 and p2 at u in [0, 1]
+function catmullRom(p0, p1, p2, p3, u) {
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return 0.5 * (2 * p1 + (p2 - p0) * u + (2 * p0 - 5 * p1 + 4 * p2 - p3) * u2 + (3 * p1 - p0 - 3 * p2 + p3) * u3);
+}
+
+// Keyframed flythrough: camera position and target plus the orbit light's
+// rotation at given times (seconds). Positions follow a Catmull-Rom spline
+// through the keyframes; each keyframe's easing shapes the segment after it.
+// Playback modes: 'once', 'loop' or 'pingpong'.
+class CameraPath {
+    constructor(keyframes = [], mode = 'loop') {
+        this.keyframes = [];
+        this.mode = mode;
+        keyframes.forEach(keyframe => this.addKeyframe(keyframe));
+    }
+    
+    static get MODES() {
+        return ['once', 'loop', 'pingpong'];
+    }
+    
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+    
+    // Insert a keyframe { time, position, target, lightRotation?, easing? }
+    // keeping them sorted by time
+    addKeyframe(keyframe) {
+        if (!Array.isArray(keyframe.position) || !Array.isArray(keyframe.target) || !(keyframe.time >= 0)) {
+            throw new Error('Camera keyframes need time, position and target');
+        }
+        const easing = keyframe.easing || 'easeInOut';
+        if (!EASINGS[easing]) {
+            throw new Error(`Unknown easing: ${easing}`);
+        }
+        const copy = {
+            time: keyframe.time,
+            position: keyframe.position.slice(),
+            target: keyframe.target.slice(),
+            easing
+        };
+        if (keyframe.lightRotation !== undefined) {
+            copy.lightRotation = keyframe.lightRotation;
+        }
+        this.keyframes.push(copy);
+        this.keyframes.sort((a, b) => a.time - b.time);
+        this.unwrapLightRotations();
+        return copy;
+    }
+    
+    // Shift each light angle by whole turns to within π of the keyframe
+    // before it, so the spline takes the short way round instead of
+    // spinning through every turn the A/D keys added in between
+    unwrapLightRotations() {
+        let previous = null;
+        this.keyframes.forEach(keyframe => {
+            if (keyframe.lightRotation === undefined) {
+                return;
+            }
+            if (previous !== null) {
+                const turns = Math.round((keyframe.lightRotation - previous) / (2 * Math.PI));
+                keyframe.lightRotation -= turns * 2 * Math.PI;
+            }
+            previous = keyframe.lightRotation;
+        });
+    }
+    
+    clear() {
+        this.keyframes = [];
+    }
+    
+    // Path time for a playback time, applying the loop mode
+    wrapTime(time) {
+        const duration = this.duration;
+        if (duration <= 0) {
+            return 0;
+        }
+        if (this.mode === 'loop') {
+            return time % duration;
+        }
+        if (this.mode === 'pingpong') {
+            const t = time % (2 * duration);
+            return t <= duration ? t : 2 * duration - t;
+        }
+        return Math.min(time, duration);
+    }
+    
+    // Whether playback in 'once' mode has reached the end
+    isFinished(time) {
+        return this.mode === 'once' && time >= this.duration;
+    }
+    
+    // Interpolated { position, target, lightRotation } at a playback time
+    sample(time) {
+        const keys = this.keyframes;
+        if (keys.length === 0) {
+            return null;
+        }
+        const t = this.wrapTime(time);
+        let i = 0;
+        while (i < keys.length - 2 && t >= keys[i + 1].time) {
+            i++;
+        }
+        const k1 = keys[i];
+        const k2 = keys[Math.min(i + 1, keys.length - 1)];
+        const k0 = keys[Math.max(i - 1, 0)];
+        const k3 = keys[Math.min(i + 2, keys.length - 1)];
+        
+        const span = k2.time - k1.time;
+        const u = EASINGS[k1.easing](span > 0 ? Math.max(0, Math.min(1, (t - k1.time) / span)) : 0);
+        const spline = name => [0, 1, 2].map(n => catmullRom(k0[name][n], k1[name][n], k2[name][n], k3[name][n], u));
+        
+        const state = { position: spline('position'), target: spline('target') };
+        if (k1.lightRotation !== undefined && k2.lightRotation !== undefined) {
+            const rotation = key => key.lightRotation !== undefined ? key.lightRotation : k1.lightRotation;
+            state.lightRotation = catmullRom(rotation(k0), k1.lightRotation, k2.lightRotation, rotation(k3), u);
+        }
+        return state;
+    }
+    
+    toJSON() {
+        return {
+            type: 'cameraPath',
+            version: 1,
+            mode: this.mode,
+            keyframes: this.keyframes.map(keyframe => Object.assign({}, keyframe, {
+                position: keyframe.position.slice(),
+                target: keyframe.target.slice()
+            }))
+        };
+    }
+    
+    static fromJSON(data) {
+        if (!data || data.type !== 'cameraPath' || !Array.isArray(data.keyframes)) {
+            throw new Error('Not a camera path file');
+        }
+        const mode = CameraPath.MODES.includes(data.mode) ? data.mode : 'loop';
+        return new CameraPath(data.keyframes, mode);
+    }
+}
+
+// Moves the scene camera in one of two modes:
+//   orbit - yaw/pitch/distance around a target point; input changes the
+//           requested values and the view eases towards them
+//   fly   - free position with mouse-look, moved with WASD
+// Orbit states ({ yaw, pitch, distance, target }) use radians here and
+// degrees in scene files and presets.
+class CameraController {
+    constructor(camera) {
+        this.camera = camera;
+        this.mode = 'orbit';
+        this.damping = 10; // Higher settles faster
+        this.minPitch = -80 * Math.PI / 180;
+        this.maxPitch = 85 * Math.PI / 180;
+        this.minDistance = 3;
+        this.maxDistance = 40;
+        
+        // Requested orbit and the eased one actually shown
+        this.orbit = { yaw: 0, pitch: Math.atan2(5, 15), distance: Math.hypot(5, 15), target: [0, 0, 0] };
+        this.current = CameraController.copyOrbit(this.orbit);
+        
+        this.fly = { position: [0, 5, 15], yaw: 0, pitch: 0 };
+        this.flySpeed = 5; // Units per second
+        
+        this.tween = null;
+    }
+    
+    static get MODES() {
+        return ['orbit', 'fly'];
+    }
+    
+    static copyOrbit(orbit) {
+        return { yaw: orbit.yaw, pitch: orbit.pitch, distance: orbit.distance, target: orbit.target.slice() };
+    }
+    
+    static orbitFromJSON(data) {
+        return {
+            yaw: (data.yaw || 0) * Math.PI / 180,
+            pitch: (data.pitch || 0) * Math.PI / 180,
+            distance: data.distance !== undefined ? data.distance : 15,
+            target: (data.target || [0, 0, 0]).slice()
+        };
+    }
+    
+    static orbitToJSON(orbit) {
+        return {
+            yaw: orbit.yaw * 180 / Math.PI,
+            pitch: orbit.pitch * 180 / Math.PI,
+            distance: orbit.distance,
+            target: orbit.target.slice()
+        };
+    }
+    
+    setMode(mode) {
+        if (!CameraController.MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        if (mode === this.mode) {
+            return;
+        }
+        
+        // Hand over the current view so switching doesn't jump; the fly
+        // camera's target is just one unit ahead, so keep the orbit distance
+        this.mode = mode;
+        this.syncToCamera(this.current.distance);
+    }
+    
+    // Take over whatever the camera shows now (e.g. after a path played),
+    // orbiting at `distance` along the view direction
+    syncToCamera(distance = vec3.distance(this.camera.position, this.camera.target)) {
+        const forward = vec3.subtract(vec3.create(), this.camera.target, this.camera.position);
+        vec3.normalize(forward, forward);
+        const yaw = Math.atan2(-forward[0], -forward[2]);
+        const pitch = Math.asin(Math.max(-1, Math.min(1, forward[1])));
+        
+        if (this.mode === 'fly') {
+            this.fly.position = this.camera.position.slice();
+            this.fly.yaw = yaw;
+            this.fly.pitch = pitch;
+        } else {
+            distance = Math.max(this.minDistance, Math.min(this.maxDistance, distance));
+            this.orbit = {
+                yaw,
+                pitch: this.clampPitch(-pitch),
+                distance,
+                target: Array.from(vec3.scaleAndAdd(vec3.create(), this.camera.position, forward, distance))
+            };
+            this.current = CameraController.copyOrbit(this.orbit);
+        }
+        this.tween = null;
+    }
+    
+    clampPitch(pitch) {
+        return Math.max(this.minPitch, Math.min(this.maxPitch, pitch));
+    }
+    
+    rotate(deltaYaw, deltaPitch) {
+        this.tween = null;
+        this.orbit.yaw += deltaYaw;
+        this.orbit.pitch = this.clampPitch(this.orbit.pitch + deltaPitch);
+    }
+    
+    zoom(factor) {
+        this.tween = null;
+        this.orbit.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.orbit.distance * factor));
+    }
+    
+    // Move the target in the view plane; dx, dy in units at the target
+    pan(dx, dy) {
+        this.tween = null;
+        const yaw = this.orbit.yaw;
+        const pitch = this.orbit.pitch;
+        const right = [Math.cos(yaw), 0, -Math.sin(yaw)];
+        const up = [-Math.sin(pitch) * Math.sin(yaw), Math.cos(pitch), -Math.sin(pitch) * Math.cos(yaw)];
+        for (let i = 0; i < 3; i++) {
+            this.orbit.target[i] += right[i] * dx + up[i] * dy;
+        }
+    }
+    
+    // Fly mode: mouse-look in radians
+    look(deltaYaw, deltaPitch) {
+        this.fly.yaw += deltaYaw;
+        this.fly.pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, this.fly.pitch + deltaPitch));
+    }
+    
+    getFlyForward() {
+        const { yaw, pitch } = this.fly;
+        return [-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch)];
+    }
+    
+    // Fly mode: move along the view (forward), sideways (right) and world up
+    move(forward, right, up) {
+        const direction = this.getFlyForward();
+        const yaw = this.fly.yaw;
+        const position = this.fly.position;
+        position[0] += direction[0] * forward + Math.cos(yaw) * right;
+        position[1] += direction[1] * forward + up;
+        position[2] += direction[2] * forward - Math.sin(yaw) * right;
+    }
+    
+    // Ease from the current view to an orbit state over duration seconds
+    tweenTo(orbit, duration = 1.5) {
+        if (this.mode !== 'orbit') {
+            this.setMode('orbit');
+        }
+        const to = CameraController.copyOrbit(orbit);
+        to.pitch = this.clampPitch(to.pitch);
+        
+        // Turn the short way round
+        const from = CameraController.copyOrbit(this.current);
+        const turn = to.yaw - from.yaw;
+        to.yaw = from.yaw + Math.atan2(Math.sin(turn), Math.cos(turn));
+        
+        this.tween = { from, to, elapsed: 0, duration: Math.max(duration, 1e-3) };
+    }
+    
+    getOrbitState() {
+        return CameraController.copyOrbit(this.orbit);
+    }
+    
+    setOrbitState(orbit) {
+        this.tween = null;
+        this.orbit = CameraController.copyOrbit(orbit);
+        this.orbit.pitch = this.clampPitch(this.orbit.pitch);
+        this.current = CameraController.copyOrbit(this.orbit);
+    }
+    
+    update(dt) {
+        if (this.tween) {
+            const tween = this.tween;
+            tween.elapsed += dt;
+            const t = easeInOutCubic(Math.min(1, tween.elapsed / tween.duration));
+            const lerp = (a, b) => a + (b - a) * t;
+            this.orbit = {
+                yaw: lerp(tween.from.yaw, tween.to.yaw),
+                pitch: lerp(tween.from.pitch, tween.to.pitch),
+                distance: lerp(tween.from.distance, tween.to.distance),
+                target: tween.from.target.map((v, i) => lerp(v, tween.to.target[i]))
+            };
+            this.current = CameraController.copyOrbit(this.orbit);
+            if (tween.elapsed >= tween.duration) {
+                this.tween = null;
+            }
+        } else {
+            // Frame-rate independent exponential smoothing
+            const k = 1 - Math.exp(-this.damping * dt);
+            const current = this.current;
+            current.yaw += (this.orbit.yaw - current.yaw) * k;
+            current.pitch += (this.orbit.pitch - current.pitch) * k;
+            current.distance += (this.orbit.distance - current.distance) * k;
+            current.target = current.target.map((v, i) => v + (this.orbit.target[i] - v) * k);
+        }
+        
+        if (this.mode === 'fly') {
+            const forward = this.getFlyForward();
+            this.camera.position = this.fly.position.slice();
+            this.camera.target = this.fly.position.map((v, i) => v + forward[i]);
+        } else {
+            const { yaw, pitch, distance, target } = this.current;
+            this.camera.position = [
+                target[0] + Math.sin(yaw) * Math.cos(pitch) * distance,
+                target[1] + Math.sin(pitch) * distance,
+                target[2] + Math.cos(yaw) * Math.cos(pitch) * distance
+            ];
+            this.camera.target = target.slice();
+        }
+    }
+    
+    toJSON() {
+        return {
+            mode: this.mode,
+            orbit: CameraController.orbitToJSON(this.orbit),
+            fly: {
+                position: this.fly.position.slice(),
+                yaw: this.fly.yaw * 180 / Math.PI,
+                pitch: this.fly.pitch * 180 / Math.PI
+            }
+        };
+    }
+    
+    applyJSON(data) {
+        if (data.orbit) {
+            this.setOrbitState(CameraController.orbitFromJSON(data.orbit));
+        }
+        if (data.fly) {
+            if (data.fly.position) this.fly.position = data.fly.position.slice();
+            if (data.fly.yaw !== undefined) this.fly.yaw = data.fly.yaw * Math.PI / 180;
+            if (data.fly.pitch !== undefined) this.fly.pitch = data.fly.pitch * Math.PI / 180;
+        }
+        if (data.mode) {
+            // Switch without handing over the previous view
+            this.mode = CameraController.MODES.includes(data.mode) ? data.mode : 'orbit';
+        }
+    }
+}
+
+function canvasToBlob(source, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        source.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), type);
+    });
+}
+
+// Writes numbered PNG frames into a directory the user picks, or as
+// individual downloads where the File System Access API is missing
+class PngSequenceWriter {
+    constructor(prefix, directory = null) {
+        this.prefix = prefix;
+        this.directory = directory;
+    }
+    
+    static async create(prefix) {
+        let directory = null;
+        if (window.showDirectoryPicker) {
+            try {
+                directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch (error) {
+                console.warn('No directory picked, downloading frames one by one');
+            }
+        }
+        return new PngSequenceWriter(prefix, directory);
+    }
+    
+    async addFrame(blob, index) {
+        const name = `${this.prefix}_${String(index).padStart(4, '0')}.png`;
+        if (this.directory) {
+            const handle = await this.directory.getFileHandle(name, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        } else {
+            downloadFile(name, blob);
+        }
+    }
+    
+    async finish() {}
+}
+
+// Records the canvas to WebM. Frames are pushed explicitly and spaced one
+// frame interval apart in real time, so the video plays at the right speed
+// however long each frame took to simulate.
+class WebMWriter {
+    constructor(source, fps, filename) {
+        if (!window.MediaRecorder || !source.captureStream) {
+            throw new Error('WebM recording needs MediaRecorder and canvas.captureStream');
+        }
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        this.fps = fps;
+        this.filename = filename;
+        this.stream = source.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        this.chunks = [];
+        this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+        this.recorder.addEventListener('dataavailable', e => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        });
+        this.recorder.start();
+    }
+    
+    async addFrame() {
+        this.track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+    }
+    
+    finish() {
+        return new Promise(resolve => {
+            this.recorder.addEventListener('stop', () => {
+                downloadFile(this.filename, new Blob(this.chunks, { type: 'video/webm' }));
+                this.track.stop();
+                resolve();
+            });
+            this.recorder.stop();
+        });
+    }
+}
+
+// Offer a string or Blob to the user as a file download
+function downloadFile(filename, contents, mimeType = 'application/octet-stream') {
+    const blob = contents instanceof Blob ? contents : new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Resolved materials deduplicated by content for the exporters, named
+// after their preset where there is one
+class ExportMaterials {
+    constructor() {
+        this.list = [];
+        this.indices = new Map();
+    }
+    
+    // Index of material (a preset name or overrides) in this.list
+    add(material = 'default') {
+        const resolved = resolveMaterial(material);
+        const key = JSON.stringify(resolved);
+        if (!this.indices.has(key)) {
+            const name = typeof material === 'string' ? material : `material_${this.list.length}`;
+            this.indices.set(key, this.list.length);
+            this.list.push({ name, material: resolved });
+        }
+        return this.indices.get(key);
+    }
+}
+
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_SHORT = 5123;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+
+// Builds a glTF 2.0 document of the islands at rest (without the float
+// offset): a node per island carrying its geometry with baked vertex
+// colors, and a child node per vegetation piece with its island-relative
+// position and scale. Vegetation meshes share the unit mesh of their type
+// and differ only in their COLOR_0 and material.
+class GLTFExporter {
+    constructor(scene) {
+        this.scene = scene;
+    }
+    
+    build() {
+        this.json = {
+            asset: { version: '2.0', generator: 'Floating Islands' },
+            scene: 0,
+            scenes: [{ name: 'Floating Islands', nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        this.chunks = [];
+        this.byteLength = 0;
+        this.materials = new ExportMaterials();
+        this.vegetationAccessors = {}; // type -> { POSITION, NORMAL, indices }
+        this.vegetationMeshes = new Map(); // type, color and material -> mesh index
+        
+        this.scene.islands.forEach((island, index) => {
+            this.json.scenes[0].nodes.push(this.addIsland(island, index));
+        });
+        
+        this.json.materials = this.materials.list.map(({ name, material }) => ({
+            name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [...material.diffuse, 1],
+                metallicFactor: 0,
+                // Blinn-Phong exponent to roughness
+                roughnessFactor: Math.sqrt(2 / (material.shininess + 2))
+            },
+            emissiveFactor: material.emissive.slice()
+        }));
+        
+        const binary = new Uint8Array(this.byteLength);
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            binary.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        this.json.buffers.push({ byteLength: binary.byteLength });
+        return { json: this.json, binary };
+    }
+    
+    // .gltf text with the buffer embedded as a data URI
+    toGLTF() {
+        const { json, binary } = this.build();
+        let text = '';
+        for (let i = 0; i < binary.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, binary.subarray(i, i + 0x8000));
+        }
+        json.buffers[0].uri = 'data:application/octet-stream;base64,' + btoa(text);
+        return JSON.stringify(json);
+    }
+    
+    // .glb: header, JSON chunk padded with spaces, BIN chunk padded with zeros
+    toGLB() {
+        const { json, binary } = this.build();
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        const binLength = Math.ceil(binary.length / 4) * 4;
+        const glb = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength);
+        const view = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+        
+        view.setUint32(0, 0x46546C67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, glb.byteLength, true);
+        
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // "JSON"
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(jsonBytes, 20);
+        
+        const binStart = 20 + jsonLength;
+        view.setUint32(binStart, binLength, true);
+        view.setUint32(binStart + 4, 0x004E4942, true); // "BIN"
+        bytes.set(binary, binStart + 8);
+        return glb;
+    }
+    
+    addIsland(island, index) {
+        const geometry = island.geometry;
+        const mesh = this.json.meshes.length;
+        this.json.meshes.push({
+            name: `island_${index}`,
+            primitives: [{
+                attributes: {
+                    POSITION: this.addAccessor(geometry.positions, 'VEC3', GLTF_ARRAY_BUFFER, true),
+                    NORMAL: this.addAccessor(geometry.normals, 'VEC3', GLTF_ARRAY_BUFFER),
+                    COLOR_0: this.addAccessor(geometry.colors, 'VEC3', GLTF_ARRAY_BUFFER)
+                },
+                indices: this.addAccessor(geometry.indices, 'SCALAR', GLTF_ELEMENT_ARRAY_BUFFER),
+                material: this.materials.add(island.material)
+            }]
+        });
+        
+        const children = island.vegetation
+            .map((veg, vegIndex) => this.addVegetation(veg, `island_${index}_${veg.type}_${vegIndex}`))
+            .filter(node => node !== null);
+        
+        const node = {
+            name: `island_${index}`,
+            mesh,
+            translation: island.position.slice()
+        };
+        if (children.length > 0) {
+            node.children = children;
+        }
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+    
+    addVegetation(veg, name) {
+        const geometry = this.scene.getVegetationGeometry(veg.type);
+        if (!geometry) {
+            console.warn(`Export: no mesh for vegetation type ${veg.type}`);
+            return null;
+        }
+        
+        const material = this.materials.add(veg.material);
+        const key = `${veg.type}|${veg.color.join(',')}|${material}`;
+        if (!this.vegetationMeshes.has(key)) {
+            if (!this.vegetationAccessors[veg.type]) {
+                this.vegetationAccessors[veg.type] = {
+                    POSITION: this.addAccessor(geometry.positions, 'VEC3', GLTF_ARRAY_BUFFER, true),
+                    NORMAL: this.addAccessor(geometry.normals, 'VEC3', GLTF_ARRAY_BUFFER),
+                    indices: this.addAccessor(geometry.indices, 'SCALAR', GLTF_ELEMENT_ARRAY_BUFFER)
+                };
+            }
+            const shared = this.vegetationAccessors[veg.type];
+            
+            // The piece's color tints the mesh's own, as when drawing
+            const colors = geometry.colors.map((c, i) => c * veg.color[i % 3]);
+            
+            this.json.meshes.push({
+                name: veg.type,
+                primitives: [{
+                    attributes: {
+                        POSITION: shared.POSITION,
+                        NORMAL: shared.NORMAL,
+                        COLOR_0: this.addAccessor(colors, 'VEC3', GLTF_ARRAY_BUFFER)
+                    },
+                    indices: shared.indices,
+                    material
+                }]
+            });
+            this.vegetationMeshes.set(key, this.json.meshes.length - 1);
+        }
+        
+        const node = {
+            name,
+            mesh: this.vegetationMeshes.get(key),
+            translation: veg.position.slice(),
+            scale: veg.scale.slice()
+        };
+        if (veg.group !== undefined) {
+            node.extras = { group: veg.group };
+        }
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+    
+    // Append a typed array as its own 4-byte aligned buffer view
+    addAccessor(array, type, target, bounds = false) {
+        const components = type === 'VEC3' ? 3 : 1;
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const padding = (4 - this.byteLength % 4) % 4;
+        if (padding > 0) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+        
+        this.json.bufferViews.push({ buffer: 0, byteOffset: this.byteLength, byteLength: bytes.byteLength, target });
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+        
+        const accessor = {
+            bufferView: this.json.bufferViews.length - 1,
+            componentType: array instanceof Uint16Array ? GLTF_UNSIGNED_SHORT : GLTF_FLOAT,
+            count: array.length / components,
+            type
+        };
+        // POSITION accessors must carry their bounds
+        if (bounds) {
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < array.length; i += 3) {
+                for (let j = 0; j < 3; j++) {
+                    accessor.min[j] = Math.min(accessor.min[j], array[i + j]);
+                    accessor.max[j] = Math.max(accessor.max[j], array[i + j]);
+                }
+            }
+        }
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+}
+
+// Wavefront OBJ/MTL of the islands at rest. OBJ has no hierarchy, so every
+// island and vegetation piece becomes an object in world space. Colors go
+// in the widely supported "v x y z r g b" form, materials in the MTL.
+class OBJExporter {
+    constructor(scene) {
+        this.scene = scene;
+    }
+    
+    // { obj, mtl } text; the OBJ refers to the MTL as mtlName
+    build(mtlName = 'floating_islands.mtl') {
+        const materials = new ExportMaterials();
+        const lines = ['# Floating Islands', `mtllib ${mtlName}`];
+        const matrix = mat4.create();
+        const normalMatrix = mat3.create();
+        let vertexBase = 1; // OBJ indices are 1-based and global
+        
+        const addObject = (name, geometry, material, color = null) => {
+            const positions = geometry.positions;
+            const normals = geometry.normals;
+            const colors = geometry.colors;
+            mat3.normalFromMat4(normalMatrix, matrix);
+            lines.push(`o ${name}`, `usemtl ${materials.list[materials.add(material)].name}`);
+            
+            const p = vec3.create();
+            const n = vec3.create();
+            for (let i = 0; i < positions.length; i += 3) {
+                vec3.transformMat4(p, positions.subarray(i, i + 3), matrix);
+                const c = colors.subarray(i, i + 3).map((value, j) => value * (color ? color[j] : 1));
+                lines.push(`v ${formatNumbers(p)} ${formatNumbers(c)}`);
+            }
+            for (let i = 0; i < normals.length; i += 3) {
+                vec3.normalize(n, vec3.transformMat3(n, normals.subarray(i, i + 3), normalMatrix));
+                lines.push(`vn ${formatNumbers(n)}`);
+            }
+            for (let i = 0; i < geometry.indices.length; i += 3) {
+                const face = [0, 1, 2].map(j => {
+                    const index = geometry.indices[i + j] + vertexBase;
+                    return `${index}//${index}`;
+                });
+                lines.push(`f ${face.join(' ')}`);
+            }
+            vertexBase += positions.length / 3;
+        };
+        
+        this.scene.islands.forEach((island, index) => {
+            mat4.fromTranslation(matrix, island.position);
+            addObject(`island_${index}`, island.geometry, island.material);
+            
+            island.vegetation.forEach((veg, vegIndex) => {
+                const geometry = this.scene.getVegetationGeometry(veg.type);
+                if (!geometry) {
+                    console.warn(`Export: no mesh for vegetation type ${veg.type}`);
+                    return;
+                }
+                mat4.fromTranslation(matrix, island.position);
+                mat4.translate(matrix, matrix, veg.position);
+                mat4.scale(matrix, matrix, veg.scale);
+                addObject(`island_${index}_${veg.type}_${vegIndex}`, geometry, veg.material, veg.color);
+            });
+        });
+        
+        const mtl = ['# Floating Islands'];
+        materials.list.forEach(({ name, material }) => {
+            const specular = material.specularStrength;
+            mtl.push(
+                '',
+                `newmtl ${name}`,
+                `Kd ${formatNumbers(material.diffuse)}`,
+                `Ks ${formatNumbers([specular, specular, specular])}`,
+                `Ns ${material.shininess}`,
+                `Ke ${formatNumbers(material.emissive)}`
+            );
+        });
+        
+        return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+    }
+}
+
+function formatNumbers(values) {
+    return Array.from(values, v => +v.toFixed(5)).join(' ');
+}
+
+const MODEL_FORMATS = ['gltf', 'glb', 'obj'];
+
+function modelFormat(filename) {
+    const extension = filename.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (!MODEL_FORMATS.includes(extension)) {
+        throw new Error(`Unsupported model format: ${filename}`);
+    }
+    return extension;
+}
+
+// The entries of a scene file's "models" block that can be loaded, each an
+// object with a string url. Anything else is skipped with a warning.
+function usableVegetationModels(models) {
+    if (models === undefined || models === null) {
+        return {};
+    }
+    if (typeof models !== 'object' || Array.isArray(models)) {
+        console.warn('Skipping "models": expected an object mapping type names to models');
+        return {};
+    }
+    const usable = {};
+    Object.entries(models).forEach(([type, model]) => {
+        if (!model || typeof model !== 'object' || typeof model.url !== 'string') {
+            console.warn(`Skipping vegetation model ${type}: it needs a "url" string`);
+            return;
+        }
+        try {
+            vegetationModelSettings(model);
+        } catch (error) {
+            console.warn(`Skipping vegetation model ${type}:`, error.message);
+            return;
+        }
+        usable[type] = model;
+    });
+    return usable;
+}
+
+// Diffuse colors by material name from MTL text
+function parseMTL(text) {
+    const colors = {};
+    let name = null;
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'newmtl') {
+            name = parts.slice(1).join(' ');
+        } else if (parts[0] === 'Kd' && name !== null) {
+            colors[name] = parts.slice(1, 4).map(Number);
+        }
+    });
+    return colors;
+}
+
+// Triangulated mesh from OBJ text. Vertex colors ("v x y z r g b") are
+// multiplied by the current material's Kd; faces without normals get flat
+// face normals.
+function parseOBJ(text, materials = {}, defaultColor = [1, 1, 1]) {
+    const positions = [];
+    const vertexColors = [];
+    const normals = [];
+    const builder = new MeshBuilder();
+    const shared = new Map(); // "v/vn/material" -> vertex index
+    let material = null;
+    
+    // OBJ indices are 1-based, negative ones count back from the end
+    const resolve = (index, list) => {
+        const i = parseInt(index, 10);
+        return i < 0 ? list.length + i : i - 1;
+    };
+    
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        switch (parts[0]) {
+            case 'v':
+                positions.push(parts.slice(1, 4).map(Number));
+                vertexColors.push(parts.length >= 7 ? parts.slice(4, 7).map(Number) : null);
+                break;
+            case 'vn':
+                normals.push(parts.slice(1, 4).map(Number));
+                break;
+            case 'usemtl':
+                material = parts.slice(1).join(' ');
+                break;
+            case 'f': {
+                const corners = parts.slice(1).map(corner => {
+                    const [v, , vn] = corner.split('/');
+                    return { v: resolve(v, positions), vn: vn ? resolve(vn, normals) : -1 };
+                });
+                const tint = material !== null && materials[material] ? materials[material] : null;
+                const colorOf = v => {
+                    const base = vertexColors[v] || (tint ? [1, 1, 1] : defaultColor);
+                    return tint ? base.map((c, i) => c * tint[i]) : base;
+                };
+                
+                // Fan triangulation of the polygon
+                for (let i = 1; i + 1 < corners.length; i++) {
+                    const triangle = [corners[0], corners[i], corners[i + 1]];
+                    if (triangle.every(corner => corner.vn >= 0)) {
+                        triangle.forEach(({ v, vn }) => {
+                            const key = `${v}/${vn}/${material}`;
+                            if (!shared.has(key)) {
+                                shared.set(key, builder.addVertex(positions[v], normals[vn], colorOf(v)));
+                            }
+                            builder.indices.push(shared.get(key));
+                        });
+                    } else {
+                        const [a, b, c] = triangle.map(({ v }) => positions[v]);
+                        const normal = vec3.normalize(vec3.create(), vec3.cross(vec3.create(),
+                            vec3.subtract(vec3.create(), b, a), vec3.subtract(vec3.create(), c, a)));
+                        triangle.forEach(({ v }) => builder.indices.push(builder.addVertex(positions[v], normal, colorOf(v))));
+                    }
+                }
+                break;
+            }
+        }
+    });
+    return builder;
+}
+
+const GLTF_COMPONENTS = {
+    5120: ['getInt8', 1, 127],
+    5121: ['getUint8', 1, 255],
+    5122: ['getInt16', 2, 32767],
+    5123: ['getUint16', 2, 65535],
+    5125: ['getUint32', 4, 1],
+    5126: ['getFloat32', 4, 1]
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+// Accessor contents as a Float32Array of count * components values
+function readGLTFAccessor(json, buffers, index) {
+    const accessor = json.accessors[index];
+    const [getter, size, max] = GLTF_COMPONENTS[accessor.componentType];
+    const components = GLTF_TYPE_SIZES[accessor.type];
+    const values = new Float32Array(accessor.count * components);
+    if (accessor.sparse) {
+        console.warn('glTF sparse accessors are not supported; using the base values');
+    }
+    if (accessor.bufferView === undefined) {
+        return values;
+    }
+    
+    const view = json.bufferViews[accessor.bufferView];
+    const buffer = buffers[view.buffer];
+    const data = new DataView(buffer, (view.byteOffset || 0) + (accessor.byteOffset || 0));
+    const stride = view.byteStride || size * components;
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < components; c++) {
+            const value = data[getter](i * stride + c * size, true);
+            values[i * components + c] = accessor.normalized ? Math.max(value / max, -1) : value;
+        }
+    }
+    return values;
+}
+
+// Every triangle primitive of the glTF's default scene flattened into one
+// mesh in scene space. COLOR_0 is multiplied by the material's base color
+// factor as the spec does; primitives with neither use defaultColor.
+function parseGLTF(json, buffers, defaultColor = [1, 1, 1]) {
+    const builder = new MeshBuilder();
+    const normalMatrix = mat3.create();
+    const p = vec3.create();
+    const n = vec3.create();
+    
+    const addPrimitive = (primitive, matrix) => {
+        if (primitive.mode !== undefined && primitive.mode !== 4) {
+            console.warn(`Skipping glTF primitive with mode ${primitive.mode}; only triangles are supported`);
+            return;
+        }
+        const attributes = primitive.attributes;
+        const positions = readGLTFAccessor(json, buffers, attributes.POSITION);
+        const normals = attributes.NORMAL !== undefined ? readGLTFAccessor(json, buffers, attributes.NORMAL) : null;
+        const colors = attributes.COLOR_0 !== undefined ? readGLTFAccessor(json, buffers, attributes.COLOR_0) : null;
+        const colorSize = colors ? GLTF_TYPE_SIZES[json.accessors[attributes.COLOR_0].type] : 0;
+        const count = positions.length / 3;
+        const indices = primitive.indices !== undefined
+            ? readGLTFAccessor(json, buffers, primitive.indices)
+            : Array.from({ length: count }, (_, i) => i);
+        
+        const material = primitive.material !== undefined ? json.materials[primitive.material] : null;
+        const factor = material && material.pbrMetallicRoughness && material.pbrMetallicRoughness.baseColorFactor;
+        const baseColor = factor ? factor.slice(0, 3) : (material || colors ? [1, 1, 1] : defaultColor);
+        const colorOf = i => colors
+            ? baseColor.map((c, j) => c * colors[i * colorSize + j])
+            : baseColor;
+        const positionOf = i => vec3.transformMat4(vec3.create(), positions.subarray(i * 3, i * 3 + 3), matrix);
+        mat3.normalFromMat4(normalMatrix, matrix);
+        
+        if (normals) {
+            const base = builder.vertices.length / 3;
+            for (let i = 0; i < count; i++) {
+                vec3.normalize(n, vec3.transformMat3(n, normals.subarray(i * 3, i * 3 + 3), normalMatrix));
+                builder.addVertex(positionOf(i), n, colorOf(i));
+            }
+            indices.forEach(index => builder.indices.push(base + index));
+        } else {
+            // Flat shading, as the spec asks for when normals are missing
+            for (let i = 0; i + 2 < indices.length; i += 3) {
+                const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(positionOf);
+                vec3.normalize(n, vec3.cross(n, vec3.subtract(p, b, a), vec3.subtract(vec3.create(), c, a)));
+                [a, b, c].forEach((position, j) => {
+                    builder.indices.push(builder.addVertex(position, n, colorOf(indices[i + j])));
+                });
+            }
+        }
+    };
+    
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = json.nodes[nodeIndex];
+        const local = node.matrix
+            ? mat4.clone(node.matrix)
+            : mat4.fromRotationTranslationScale(mat4.create(), node.rotation || [0, 0, 0, 1],
+                node.translation || [0, 0, 0], node.scale || [1, 1, 1]);
+        const matrix = mat4.multiply(local, parentMatrix, local);
+        if (node.mesh !== undefined) {
+            json.meshes[node.mesh].primitives.forEach(primitive => addPrimitive(primitive, matrix));
+        }
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+    
+    // Without scenes, every node that isn't a child is a root
+    const scenes = json.scenes || [];
+    const scene = scenes[json.scene || 0];
+    const children = new Set((json.nodes || []).flatMap(node => node.children || []));
+    const roots = scene ? scene.nodes : (json.nodes || []).map((_, i) => i).filter(i => !children.has(i));
+    roots.forEach(root => visit(root, mat4.create()));
+    return builder;
+}
+
+// JSON and BIN chunks of a .glb
+function parseGLB(data) {
+    const view = new DataView(data);
+    if (view.getUint32(0, true) !== 0x46546C67) {
+        throw new Error('Not a binary glTF file');
+    }
+    let json = null;
+    let binary = null;
+    for (let offset = 12; offset < view.getUint32(8, true);) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        if (type === 0x4E4F534A) {
+            json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, offset + 8, length)));
+        } else if (type === 0x004E4942) {
+            binary = data.slice(offset + 8, offset + 8 + length);
+        }
+        offset += 8 + length;
+    }
+    return { json, binary };
+}
+
+// Load the buffers a glTF refers to: the GLB's BIN chunk, data URIs, or
+// files relative to baseUrl
+function loadGLTFBuffers(json, binary, baseUrl) {
+    return Promise.all((json.buffers || []).map(buffer => {
+        if (buffer.uri === undefined) {
+            return binary;
+        }
+        if (buffer.uri.startsWith('data:')) {
+            const text = atob(buffer.uri.slice(buffer.uri.indexOf(',') + 1));
+            return Uint8Array.from(text, c => c.charCodeAt(0)).buffer;
+        }
+        if (!baseUrl) {
+            throw new Error(`glTF buffer ${buffer.uri} can't be resolved without a URL`);
+        }
+        return fetch(new URL(buffer.uri, baseUrl)).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while fetching ${buffer.uri}`);
+            }
+            return response.arrayBuffer();
+        });
+    }));
+}
+
+// Parse model file contents into a MeshBuilder standing on y = 0 and
+// centered on the y axis. options: height (fit to this height, otherwise
+// scale multiplies the file's units), color for meshes without any, mtl
+// URL for OBJ materials (by default its mtllib, relative to baseUrl).
+// baseUrl resolves external files and is null for dropped files.
+async function parseModel(data, format, baseUrl, options = {}) {
+    const color = options.color || [1, 1, 1];
+    let builder;
+    if (format === 'obj') {
+        const text = new TextDecoder().decode(data);
+        const mtllib = text.match(/^mtllib\s+(.+)$/m);
+        const mtlUrl = options.mtl || (mtllib && baseUrl ? new URL(mtllib[1].trim(), baseUrl).href : null);
+        let materials = {};
+        if (mtlUrl) {
+            const response = await fetch(mtlUrl);
+            if (response.ok) {
+                materials = parseMTL(await response.text());
+            } else {
+                console.warn(`HTTP ${response.status} while fetching ${mtlUrl}; using vertex colors only`);
+            }
+        }
+        builder = parseOBJ(text, materials, color);
+    } else {
+        const { json, binary } = format === 'glb'
+            ? parseGLB(data)
+            : { json: JSON.parse(new TextDecoder().decode(data)), binary: null };
+        builder = parseGLTF(json, await loadGLTFBuffers(json, binary, baseUrl), color);
+    }
+    
+    if (builder.indices.length === 0) {
+        throw new Error('Model has no triangles');
+    }
+    fitModel(builder, options);
+    return builder;
+}
+
+// Move the model's base to the origin and apply the height or scale option
+function fitModel(builder, { height, scale = 1 }) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < builder.vertices.length; i += 3) {
+        for (let j = 0; j < 3; j++) {
+            min[j] = Math.min(min[j], builder.vertices[i + j]);
+            max[j] = Math.max(max[j], builder.vertices[i + j]);
+        }
+    }
+    const factor = height !== undefined ? height / Math.max(max[1] - min[1], 1e-6) : scale;
+    const origin = [(min[0] + max[0]) / 2, min[1], (min[2] + max[2]) / 2];
+    for (let i = 0; i < builder.vertices.length; i++) {
+        builder.vertices[i] = (builder.vertices[i] - origin[i % 3]) * factor;
+    }
+}
+
+function colorToHex(color) {
+    return '#' + color.map(c => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+// Counts what the renderer asks of the GPU: draw calls and triangles per
+// frame, plus every buffer and render target attachment currently
+// allocated with its size. The classes that own buffers and targets
+// report them where they allocate, resize and delete them, and each draw
+// site reports its draw; getRenderStats(gl) finds the counter to use.
+class RenderStats {
+    constructor(gl) {
+        this.gl = gl;
+        this.drawCalls = 0;
+        this.triangles = 0;
+        this.lastFrame = { drawCalls: 0, triangles: 0, cpuTime: 0 };
+        this.bufferSizes = new Map(); // WebGLBuffer -> bytes
+        this.attachmentSizes = new Map(); // Texture or renderbuffer -> bytes
+        this.fps = 0;
+        this.frameTime = 0; // Milliseconds between frames
+        this.windowFrames = 0;
+        this.windowStart = null;
+        this.frameStart = 0;
+    }
+    
+    // A drawArrays/drawElements call; instanced draws pass their instance count
+    countDraw(mode, count, instances = 1) {
+        const gl = this.gl;
+        this.drawCalls++;
+        if (mode === gl.TRIANGLES) {
+            this.triangles += Math.floor(count / 3) * instances;
+        } else if (mode === gl.TRIANGLE_STRIP || mode === gl.TRIANGLE_FAN) {
+            this.triangles += Math.max(0, count - 2) * instances;
+        }
+    }
+    
+    setBufferSize(buffer, bytes) {
+        this.bufferSizes.set(buffer, bytes);
+    }
+    
+    deleteBuffer(buffer) {
+        this.bufferSizes.delete(buffer);
+    }
+    
+    setAttachmentSize(attachment, bytes) {
+        this.attachmentSizes.set(attachment, bytes);
+    }
+    
+    deleteAttachment(attachment) {
+        this.attachmentSizes.delete(attachment);
+    }
+    
+    get bufferCount() {
+        return this.bufferSizes.size;
+    }
+    
+    get bufferBytes() {
+        let total = 0;
+        this.bufferSizes.forEach(bytes => { total += bytes; });
+        return total;
+    }
+    
+    get attachmentCount() {
+        return this.attachmentSizes.size;
+    }
+    
+    get attachmentBytes() {
+        let total = 0;
+        this.attachmentSizes.forEach(bytes => { total += bytes; });
+        return total;
+    }
+    
+    // now in milliseconds (performance.now())
+    beginFrame(now) {
+        if (this.windowStart === null) {
+            this.windowStart = now;
+        }
+        this.drawCalls = 0;
+        this.triangles = 0;
+        this.frameStart = now;
+    }
+    
+    endFrame(now) {
+        this.lastFrame = { drawCalls: this.drawCalls, triangles: this.triangles, cpuTime: now - this.frameStart };
+        
+        // Average FPS and frame time over half-second windows
+        this.windowFrames++;
+        const elapsed = now - this.windowStart;
+        if (elapsed >= 500) {
+            this.fps = this.windowFrames * 1000 / elapsed;
+            this.frameTime = elapsed / this.windowFrames;
+            this.windowFrames = 0;
+            this.windowStart = now;
+        }
+    }
+}
+
+// One RenderStats per context, so anything holding a gl can report to it
+const renderStatsByContext = new WeakMap();
+
+function getRenderStats(gl) {
+    let stats = renderStatsByContext.get(gl);
+    if (!stats) {
+        stats = new RenderStats(gl);
+        renderStatsByContext.set(gl, stats);
+    }
+    return stats;
+}
+
+// Lines gathered each frame and drawn in one call
+class DebugLines {
+    constructor(gl) {
+        this.gl = gl;
+        this.shader = new Shader(gl, debugLineVertexShaderSource, debugLineFragmentShaderSource);
+        this.buffer = gl.createBuffer();
+        getRenderStats(gl).setBufferSize(this.buffer, 0);
+        this.data = new Float32Array(6 * 1024);
+        this.count = 0; // Vertices
+        this.scratch = [vec3.create(), vec3.create()];
+    }
+    
+    clear() {
+        this.count = 0;
+    }
+    
+    add(a, b, color) {
+        if ((this.count + 2) * 6 > this.data.length) {
+            const data = new Float32Array(this.data.length * 2);
+            data.set(this.data);
+            this.data = data;
+        }
+        this.data.set(a, this.count * 6);
+        this.data.set(color, this.count * 6 + 3);
+        this.data.set(b, this.count * 6 + 6);
+        this.data.set(color, this.count * 6 + 9);
+        this.count += 2;
+    }
+    
+    // The 12 edges of the box corners transformed by matrix
+    addBox(min, max, matrix, color) {
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            const corner = [i & 1 ? max[0] : min[0], i & 2 ? max[1] : min[1], i & 4 ? max[2] : min[2]];
+            corners.push(vec3.transformMat4(corner, corner, matrix));
+        }
+        this.addCube(corners, color);
+    }
+    
+    // The volume a view-projection matrix sees, from its inverse
+    addFrustum(inverseViewProjection, color) {
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            const corner = [i & 1 ? 1 : -1, i & 2 ? 1 : -1, i & 4 ? 1 : -1];
+            corners.push(vec3.transformMat4(corner, corner, inverseViewProjection));
+        }
+        this.addCube(corners, color);
+    }
+    
+    // Corners indexed by bits: 1 = +x, 2 = +y, 4 = +z
+    addCube(corners, color) {
+        for (let i = 0; i < 8; i++) {
+            [1, 2, 4].forEach(bit => {
+                if (!(i & bit)) {
+                    this.add(corners[i], corners[i | bit], color);
+                }
+            });
+        }
+    }
+    
+    draw(viewProjection) {
+        if (this.count === 0) {
+            return;
+        }
+        const gl = this.gl;
+        const shader = this.shader;
+        shader.use();
+        gl.uniformMatrix4fv(shader.getUniformLocation('uViewProjection'), false, viewProjection);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.data.subarray(0, this.count * 6), gl.DYNAMIC_DRAW);
+        getRenderStats(gl).setBufferSize(this.buffer, this.count * 24);
+        const colorLocation = gl.getAttribLocation(shader.program, 'aColor');
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 24, 0);
+        gl.enableVertexAttribArray(colorLocation);
+        gl.vertexAttribPointer(colorLocation, 3, gl.FLOAT, false, 24, 12);
+        gl.drawArrays(gl.LINES, 0, this.count);
+        getRenderStats(gl).countDraw(gl.LINES, this.count);
+        gl.disableVertexAttribArray(colorLocation);
+    }
+}
+
+// Parts of the debug overlay: label and whether it starts switched on
+const DEBUG_LAYERS = {
+    stats: ['Stats', true],
+    shadowMap: ['Shadow map', true],
+    frustums: ['Frustums', true],
+    bounds: ['Bounding boxes', false],
+    normals: ['Normals', false],
+    wireframe: ['Wireframe', false]
+};
+
+// What the renderer is doing, drawn over the finished frame: a stats
+// panel, an inset of the shadow map, the light's and camera's frustums,
+// bounding boxes, vertex normals and a wireframe mode. The camera frustum
+// is the one captured when the overlay was switched on (or with the
+// panel's button), so you can fly out and look at it.
+class DebugOverlay {
+    constructor(scene) {
+        this.scene = scene;
+        this.gl = scene.gl;
+        this.enabled = false;
+        this.layers = {};
+        Object.entries(DEBUG_LAYERS).forEach(([name, [, enabled]]) => { this.layers[name] = enabled; });
+        this.normalLength = 0.1;
+        this.frustumDepth = 20; // Captured camera frustum is cut off here
+        this.cameraFrustum = null; // Inverse view-projection
+        
+        this.lines = new DebugLines(this.gl);
+        this.insetShader = new Shader(this.gl, postVertexShaderSource, shadowInsetFragmentShaderSource);
+        this.quadBuffer = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quadBuffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), this.gl.STATIC_DRAW);
+        getRenderStats(this.gl).setBufferSize(this.quadBuffer, 32);
+        
+        this.statsText = '';
+        this.nextStatsUpdate = 0;
+        this.panel = this.createPanel();
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'debug';
+        panel.style.display = 'none';
+        
+        this.statsElement = document.createElement('pre');
+        panel.appendChild(this.statsElement);
+        
+        Object.entries(DEBUG_LAYERS).forEach(([name, [label]]) => {
+            const row = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.layers[name];
+            checkbox.addEventListener('change', () => this.setLayer(name, checkbox.checked));
+            row.appendChild(checkbox);
+            row.appendChild(document.createTextNode(' ' + label));
+            panel.appendChild(row);
+        });
+        
+        const button = document.createElement('button');
+        button.textContent = 'Capture camera frustum';
+        button.addEventListener('click', () => this.captureCameraFrustum());
+        panel.appendChild(button);
+        
+        document.body.appendChild(panel);
+        return panel;
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.style.display = enabled ? 'block' : 'none';
+        if (enabled) {
+            this.captureCameraFrustum();
+        }
+    }
+    
+    setLayer(name, enabled) {
+        if (!(name in DEBUG_LAYERS)) {
+            console.warn(`Unknown debug layer: ${name}`);
+            return;
+        }
+        this.layers[name] = enabled;
+    }
+    
+    // Whether the scene should draw its geometry as edges
+    get wireframe() {
+        return this.enabled && this.layers.wireframe;
+    }
+    
+    captureCameraFrustum() {
+        const camera = this.scene.camera;
+        const projection = mat4.perspective(mat4.create(), camera.fov, camera.aspect, camera.near,
+            Math.min(camera.far, this.frustumDepth));
+        const viewProjection = mat4.multiply(projection, projection, this.scene.getViewMatrix());
+        this.cameraFrustum = mat4.invert(viewProjection, viewProjection);
+    }
+    
+    // Over whatever the canvas holds; lines ignore depth so they show
+    // through the islands
+    draw() {
+        const gl = this.gl;
+        const scene = this.scene;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.disable(gl.DEPTH_TEST);
+        
+        this.lines.clear();
+        if (this.layers.frustums) {
+            this.addFrustums();
+        }
+        if (this.layers.bounds) {
+            this.addBounds();
+        }
+        if (this.layers.normals) {
+            this.addNormals();
+        }
+        const viewProjection = mat4.multiply(mat4.create(), scene.getProjectionMatrix(), scene.getViewMatrix());
+        this.lines.draw(viewProjection);
+        
+        if (this.layers.shadowMap && scene.getShadowLight()) {
+            this.drawShadowMapInset();
+        }
+        gl.enable(gl.DEPTH_TEST);
+        
+        this.updateStats();
+    }
+    
+    addFrustums() {
+        if (this.cameraFrustum) {
+            this.lines.addFrustum(this.cameraFrustum, [1, 1, 0.2]);
+        }
+        const light = this.scene.getShadowLight();
+        if (light) {
+            const { lightViewMatrix, lightProjectionMatrix } = this.scene.getLightMatrices(light);
+            const inverse = mat4.multiply(mat4.create(), lightProjectionMatrix, lightViewMatrix);
+            this.lines.addFrustum(mat4.invert(inverse, inverse), [1, 0.5, 0.1]);
+        }
+    }
+    
+    addBounds() {
+        const matrix = mat4.create();
+        this.scene.getRenderedIslands().forEach(island => {
+            const { min, max } = island.geometry.getBounds();
+            this.lines.addBox(min, max, island.getModelMatrix(matrix), [0.2, 0.9, 1]);
+            island.vegetation.forEach(veg => {
+                const geometry = this.scene.getVegetationGeometry(veg.type);
+                if (geometry) {
+                    const bounds = geometry.getBounds();
+                    this.lines.addBox(bounds.min, bounds.max, island.getVegetationMatrix(veg, matrix), [0.4, 1, 0.4]);
+                }
+            });
+        });
+        this.scene.bridges.forEach(bridge => {
+            const { min, max } = bridge.geometry.getBounds();
+            this.lines.addBox(min, max, mat4.identity(matrix), [1, 0.75, 0.3]);
+        });
+    }
+    
+    addNormals() {
+        const matrix = mat4.create();
+        const normalMatrix = mat3.create();
+        const start = vec3.create();
+        const end = vec3.create();
+        const color = [1, 0.3, 0.8];
+        
+        const addGeometry = geometry => {
+            mat3.normalFromMat4(normalMatrix, matrix);
+            for (let i = 0; i < geometry.positions.length; i += 3) {
+                vec3.transformMat4(start, geometry.positions.subarray(i, i + 3), matrix);
+                vec3.transformMat3(end, geometry.normals.subarray(i, i + 3), normalMatrix);
+                vec3.scaleAndAdd(end, start, vec3.normalize(end, end), this.normalLength);
+                this.lines.add(start, end, color);
+            }
+        };
+        this.scene.getRenderedIslands().forEach(island => {
+            island.getModelMatrix(matrix);
+            addGeometry(island.geometry);
+            island.vegetation.forEach(veg => {
+                const geometry = this.scene.getVegetationGeometry(veg.type);
+                if (geometry) {
+                    island.getVegetationMatrix(veg, matrix);
+                    addGeometry(geometry);
+                }
+            });
+        });
+    }
+    
+    // Bottom-left corner, a quarter of the shorter canvas side
+    drawShadowMapInset() {
+        const gl = this.gl;
+        const shadowMap = this.scene.shadowMap;
+        const size = Math.round(Math.min(gl.drawingBufferWidth, gl.drawingBufferHeight) / 4);
+        const margin = Math.round(size / 16);
+        gl.viewport(margin, margin, size, size);
+        
+        const shader = this.insetShader;
+        shader.use();
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, shadowMap.depthSource);
+        gl.uniform1i(shader.getUniformLocation('uInput'), 0);
+        gl.uniform1i(shader.getUniformLocation('uPacked'), !shadowMap.usesDepthTexture);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        getRenderStats(gl).countDraw(gl.TRIANGLE_STRIP, 4);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+    
+    // Refreshed four times a second so the numbers are readable
+    updateStats() {
+        const now = performance.now();
+        if (now < this.nextStatsUpdate) {
+            return;
+        }
+        this.nextStatsUpdate = now + 250;
+        
+        let text = '';
+        if (this.layers.stats) {
+            const stats = this.scene.stats;
+            const frame = stats.lastFrame;
+            const islands = this.scene.getRenderedIslands();
+            const vegetation = islands.reduce((sum, island) => sum + island.vegetation.length, 0);
+            const archipelago = this.scene.archipelago;
+            text = [
+                `FPS ${stats.fps.toFixed(1)}  frame ${stats.frameTime.toFixed(1)} ms  (cpu ${frame.cpuTime.toFixed(1)} ms)`,
+                `Draw calls ${frame.drawCalls}  triangles ${frame.triangles.toLocaleString()}`,
+                `GPU buffers ${stats.bufferCount}  (${(stats.bufferBytes / 1048576).toFixed(2)} MB)`,
+                `Render target attachments ${stats.attachmentCount}  (${(stats.attachmentBytes / 1048576).toFixed(2)} MB)`,
+                `Islands ${islands.length}  vegetation pieces ${vegetation}` +
+                    (archipelago ? `  chunks ${archipelago.chunkCount}` : ''),
+                ...Object.entries(this.scene.cullStats).filter(([, counts]) => counts).map(([pass, counts]) =>
+                    `Culled (${pass}) islands ${counts.islandsCulled}/${counts.islands + counts.islandsCulled}` +
+                    `  vegetation ${counts.vegetationCulled}/${counts.vegetation + counts.vegetationCulled}` +
+                    `  bridges ${counts.bridgesCulled}/${counts.bridges + counts.bridgesCulled}`),
+                `${gl.drawingBufferWidth}x${gl.drawingBufferHeight}  lines ${this.lines.count / 2}`
+            ].join('\n');
+        }
+        if (text !== this.statsText) {
+            this.statsElement.textContent = text;
+            this.statsText = text;
+        }
+    }
+}
+
+// Scene-wide settings in the panel. get/set map them onto the scene; the
+// values the scene starts with become the reset defaults.
+const SETTINGS = [
+    { key: 'shadowBias', label: 'Shadow bias', type: 'range', min: 0, max: 0.02, step: 0.0005,
+        get: scene => scene.shadowBias, set: (scene, value) => { scene.shadowBias = value; } },
+    { key: 'shadows', label: 'Shadows', type: 'checkbox',
+        get: scene => scene.shadowsEnabled, set: (scene, value) => { scene.shadowsEnabled = value; } },
+    { key: 'lightHeight', label: 'Light height', type: 'range', min: 2, max: 20, step: 0.5,
+        get: scene => scene.lightHeight, set: (scene, value) => { scene.lightHeight = value; } },
+    { key: 'lightOrbitRadius', label: 'Light orbit radius', type: 'range', min: 1, max: 20, step: 0.5,
+        get: scene => scene.lightOrbitRadius, set: (scene, value) => { scene.lightOrbitRadius = value; } },
+    { key: 'lightColor', label: 'Light color', type: 'color',
+        get: scene => scene.light ? scene.light.color.slice() : [1, 1, 1],
+        set: (scene, value) => { if (scene.light) scene.light.color = value.slice(); } },
+    { key: 'ambientStrength', label: 'Ambient strength', type: 'range', min: 0, max: 3, step: 0.05,
+        get: scene => scene.ambientStrength, set: (scene, value) => { scene.ambientStrength = value; } },
+    { key: 'ambientTint', label: 'Ambient tint', type: 'color',
+        get: scene => scene.ambientTint.slice(), set: (scene, value) => { scene.ambientTint = value.slice(); } },
+    { key: 'windDirection', label: 'Wind direction', type: 'range', min: 0, max: 360, step: 5,
+        get: scene => scene.wind.direction, set: (scene, value) => { scene.wind.direction = value; } },
+    { key: 'windStrength', label: 'Wind strength', type: 'range', min: 0, max: 2, step: 0.05,
+        get: scene => scene.wind.strength, set: (scene, value) => { scene.wind.strength = value; } },
+    { key: 'windGustiness', label: 'Gustiness', type: 'range', min: 0, max: 1, step: 0.05,
+        get: scene => scene.wind.gustiness, set: (scene, value) => { scene.wind.gustiness = value; } },
+    { key: 'windTurbulence', label: 'Turbulence', type: 'range', min: 0, max: 1, step: 0.05,
+        get: scene => scene.wind.turbulence, set: (scene, value) => { scene.wind.turbulence = value; } },
+    { key: 'frustumCulling', label: 'Frustum culling', type: 'checkbox',
+        get: scene => scene.frustumCulling, set: (scene, value) => { scene.frustumCulling = value; } },
+    { key: 'postProcessing', label: 'Post-processing', type: 'checkbox',
+        get: scene => scene.postProcessor.enabled, set: (scene, value) => { scene.postProcessor.enabled = value; } },
+    { key: 'debugOverlay', label: 'Debug overlay', type: 'checkbox',
+        get: scene => scene.debug.enabled, set: (scene, value) => scene.debug.setEnabled(value) }
+];
+
+// Per-island settings, edited for the island chosen in the panel
+const ISLAND_SETTINGS = [
+    { key: 'floatSpeed', label: 'Float speed', type: 'range', min: 0, max: 2, step: 0.05 },
+    { key: 'floatAmplitude', label: 'Float amplitude', type: 'range', min: 0, max: 0.5, step: 0.01 },
+    { key: 'groundColor', label: 'Ground color', type: 'color', rebuild: true },
+    { key: 'dirtColor', label: 'Dirt color', type: 'color', rebuild: true }
+];
+
+const SETTINGS_STORAGE_KEY = 'floatingIslands.settings';
+
+// In-page controls legend and live settings, saved to localStorage on
+// every change. Saved values are applied once at startup; loading a scene
+// file afterwards sets whatever it contains, and the panel follows.
+class SettingsPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.visible = false;
+        this.islandIndex = 0;
+        this.inputs = {};       // Setting key -> input element
+        this.islandInputs = {};
+        
+        this.defaults = {};
+        SETTINGS.forEach(setting => { this.defaults[setting.key] = setting.get(scene); });
+        this.islandDefaults = this.captureIslands();
+        
+        this.panel = this.createPanel();
+        this.applyStored();
+        
+        // New islands bring their own values, which become their defaults
+        scene.on('islands', () => {
+            this.islandDefaults = this.captureIslands();
+            this.islandIndex = 0;
+            this.rebuildIslandOptions();
+            this.sync();
+        });
+        scene.on('load', () => this.sync());
+        scene.on('select', result => {
+            if (result) {
+                this.islandIndex = result.islandIndex;
+                this.sync();
+            }
+        });
+    }
+    
+    captureIslands() {
+        return this.scene.islands.map(island => {
+            const values = {};
+            ISLAND_SETTINGS.forEach(({ key }) => {
+                values[key] = Array.isArray(island[key]) ? island[key].slice() : island[key];
+            });
+            return values;
+        });
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'settings';
+        panel.style.display = 'none';
+        
+        const legend = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'Controls';
+        const legendText = document.createElement('pre');
+        legendText.textContent = CONTROLS.join('\n');
+        legend.appendChild(summary);
+        legend.appendChild(legendText);
+        panel.appendChild(legend);
+        
+        SETTINGS.forEach(setting => {
+            this.inputs[setting.key] = this.addInput(panel, setting, value => {
+                setting.set(this.scene, value);
+                this.save();
+            });
+        });
+        
+        const islandRow = document.createElement('label');
+        islandRow.textContent = 'Island ';
+        this.islandSelect = document.createElement('select');
+        this.islandSelect.addEventListener('change', () => {
+            this.islandIndex = parseInt(this.islandSelect.value, 10);
+            this.sync();
+        });
+        islandRow.appendChild(this.islandSelect);
+        panel.appendChild(islandRow);
+        this.rebuildIslandOptions();
+        
+        ISLAND_SETTINGS.forEach(setting => {
+            this.islandInputs[setting.key] = this.addInput(panel, setting, value => {
+                const island = this.scene.islands[this.islandIndex];
+                if (island) {
+                    this.setIslandValue(island, setting, value);
+                    this.save();
+                }
+            });
+        });
+        
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => this.reset());
+        panel.appendChild(reset);
+        
+        document.getElementById('panels').appendChild(panel);
+        return panel;
+    }
+    
+    // A labelled slider, color picker or checkbox calling onChange with
+    // the parsed value; sliders show their value next to them
+    addInput(panel, setting, onChange) {
+        const row = document.createElement('label');
+        row.textContent = setting.label + ' ';
+        const input = document.createElement('input');
+        input.type = setting.type;
+        if (setting.type === 'range') {
+            Object.assign(input, { min: setting.min, max: setting.max, step: setting.step });
+        }
+        const output = document.createElement('span');
+        row.appendChild(input);
+        row.appendChild(output);
+        panel.appendChild(row);
+        
+        input.addEventListener('input', () => {
+            const value = this.readInput(input, setting);
+            this.showValue(input, setting, value);
+            onChange(value);
+        });
+        input.output = output;
+        return input;
+    }
+    
+    readInput(input, setting) {
+        if (setting.type === 'checkbox') {
+            return input.checked;
+        }
+        return setting.type === 'color' ? hexToColor(input.value) : parseFloat(input.value);
+    }
+    
+    showValue(input, setting, value) {
+        if (setting.type === 'checkbox') {
+            input.checked = value;
+        } else if (setting.type === 'color') {
+            input.value = colorToHex(value);
+        } else {
+            input.value = value;
+            input.output.textContent = ' ' + +value.toFixed(4);
+        }
+    }
+    
+    rebuildIslandOptions() {
+        this.islandSelect.innerHTML = '';
+        this.scene.islands.forEach((island, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${index + 1}`;
+            this.islandSelect.appendChild(option);
+        });
+    }
+    
+    setIslandValue(island, setting, value) {
+        island[setting.key] = Array.isArray(value) ? value.slice() : value;
+        if (setting.rebuild) {
+            island.createGeometry();
+        }
+    }
+    
+    // Show the scene's current values
+    sync() {
+        SETTINGS.forEach(setting => this.showValue(this.inputs[setting.key], setting, setting.get(this.scene)));
+        const island = this.scene.islands[this.islandIndex];
+        if (island) {
+            this.islandSelect.value = this.islandIndex;
+            ISLAND_SETTINGS.forEach(setting => this.showValue(this.islandInputs[setting.key], setting, island[setting.key]));
+        }
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.panel.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            this.sync();
+        }
+    }
+    
+    toJSON() {
+        const values = {};
+        SETTINGS.forEach(setting => { values[setting.key] = setting.get(this.scene); });
+        return { values, islands: this.captureIslands() };
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this));
+        } catch (error) {
+            console.warn('Could not save settings:', error.message);
+        }
+    }
+    
+    applyStored() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        } catch (error) {
+            console.warn('Ignoring saved settings:', error.message);
+        }
+        if (stored) {
+            this.apply(stored.values || {}, stored.islands || []);
+        }
+        this.sync();
+    }
+    
+    // Values by setting key; islands by index, values by island setting key
+    apply(values, islands) {
+        SETTINGS.forEach(setting => {
+            if (values[setting.key] !== undefined) {
+                setting.set(this.scene, values[setting.key]);
+            }
+        });
+        this.scene.islands.forEach((island, index) => {
+            const islandValues = islands[index] || {};
+            ISLAND_SETTINGS.forEach(setting => {
+                if (islandValues[setting.key] !== undefined) {
+                    this.setIslandValue(island, setting, islandValues[setting.key]);
+                }
+            });
+        });
+    }
+    
+    reset() {
+        this.apply(this.defaults, this.islandDefaults);
+        try {
+            localStorage.removeItem(SETTINGS_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not clear saved settings:', error.message);
+        }
+        this.sync();
+    }
+}
+
+// Edit mode for hand-dressing islands. Every action snapshots the island's
+// vegetation list before and after, so undo/redo covers all of them the
+// same way.
+class IslandEditor {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = false;
+        this.tool = 'tree'; // What a click on an island top places
+        this.size = 1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null; // { island, entries, before } while moving a piece
+        this.panel = this.createPanel();
+        
+        // Snapshots refer to islands that are about to be disposed
+        scene.on('islands', () => this.clearHistory());
+        scene.on('select', () => this.syncPanel());
+    }
+    
+    static get TOOLS() {
+        return { tree: 'createTree', bush: 'createBush', boulder: 'createBoulder' };
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'editor';
+        panel.style.display = 'none';
+        
+        const addControl = (label, element) => {
+            const row = document.createElement('label');
+            row.textContent = label + ' ';
+            row.appendChild(element);
+            panel.appendChild(row);
+            return element;
+        };
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            panel.appendChild(button);
+            return button;
+        };
+        
+        this.toolSelect = addControl('Place', document.createElement('select'));
+        Object.keys(IslandEditor.TOOLS).forEach(tool => {
+            const option = document.createElement('option');
+            option.value = option.textContent = tool;
+            this.toolSelect.appendChild(option);
+        });
+        this.toolSelect.addEventListener('change', () => this.setTool(this.toolSelect.value));
+        
+        this.sizeInput = addControl('Size', document.createElement('input'));
+        Object.assign(this.sizeInput, { type: 'range', min: 0.25, max: 3, step: 0.05, value: this.size });
+        this.sizeInput.addEventListener('input', () => { this.size = parseFloat(this.sizeInput.value); });
+        
+        this.colorInput = addControl('Color', document.createElement('input'));
+        this.colorInput.type = 'color';
+        this.colorInput.addEventListener('change', () => this.recolorSelection(hexToColor(this.colorInput.value)));
+        
+        addButton('Delete', () => this.deleteSelection());
+        addButton('Undo', () => this.undo());
+        addButton('Redo', () => this.redo());
+        
+        document.getElementById('panels').appendChild(panel);
+        return panel;
+    }
+    
+    syncPanel() {
+        const entries = this.getSelectedEntries();
+        if (entries) {
+            // The piece that was clicked, e.g. the canopy of a tree
+            this.colorInput.value = colorToHex(this.scene.selection.vegetation.color);
+        }
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.style.display = enabled ? 'block' : 'none';
+        this.scene.updateHud();
+    }
+    
+    setTool(tool) {
+        if (!IslandEditor.TOOLS[tool]) {
+            console.warn(`Unknown editor tool: ${tool}`);
+            return;
+        }
+        this.tool = tool;
+        this.toolSelect.value = tool;
+        this.scene.updateHud();
+    }
+    
+    describe() {
+        return `Edit mode: placing ${this.tool} at size ${this.size.toFixed(2)}` +
+            `  (undo ${this.undoStack.length}, redo ${this.redoStack.length})`;
+    }
+    
+    // The selected vegetation object (all of its pieces), or null
+    getSelectedEntries() {
+        const selection = this.scene.selection;
+        if (!selection || !selection.vegetation) {
+            return null;
+        }
+        return selection.island.getVegetationGroup(selection.vegetation);
+    }
+    
+    // Run an action on an island's vegetation as one undoable step
+    edit(island, action) {
+        const before = island.vegetation.map(copyVegetation);
+        const result = action();
+        this.record(island, before);
+        return result;
+    }
+    
+    record(island, before) {
+        const after = island.vegetation.map(copyVegetation);
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return;
+        }
+        this.undoStack.push({ island, before, after });
+        this.redoStack = [];
+        this.scene.updateHud();
+    }
+    
+    restore(island, state) {
+        // Entries are replaced, so the old selection no longer points anywhere
+        this.scene.select(null);
+        island.vegetation = state.map(copyVegetation);
+        this.scene.updateHud();
+    }
+    
+    undo() {
+        const command = this.undoStack.pop();
+        if (command) {
+            this.redoStack.push(command);
+            this.restore(command.island, command.before);
+        }
+    }
+    
+    redo() {
+        const command = this.redoStack.pop();
+        if (command) {
+            this.undoStack.push(command);
+            this.restore(command.island, command.after);
+        }
+    }
+    
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+    }
+    
+    // Island-local (x, z) of a world point if it lies on the island's top surface
+    getTopSurfacePoint(island, point) {
+        const x = point[0] - island.position[0];
+        const y = point[1] - island.position[1] - island.floatOffset;
+        const z = point[2] - island.position[2];
+        if (!island.isOnSurface(x, z, 0.1) || y < island.getSurfaceHeight(x, z) - 0.05) {
+            return null;
+        }
+        return [x, z];
+    }
+    
+    // Click in edit mode: select a piece, or place the current tool on an island top
+    handleClick(result) {
+        if (result && !result.vegetation) {
+            const surfacePoint = this.getTopSurfacePoint(result.island, result.point);
+            if (surfacePoint) {
+                this.place(result.island, surfacePoint[0], surfacePoint[1]);
+                return;
+            }
+        }
+        this.scene.select(result);
+    }
+    
+    place(island, x, z) {
+        const entries = this.edit(island, () => island[IslandEditor.TOOLS[this.tool]](x, z, this.size));
+        const vegetation = entries[entries.length - 1];
+        this.scene.select({
+            island,
+            islandIndex: this.scene.islands.indexOf(island),
+            vegetation,
+            vegetationIndex: island.vegetation.indexOf(vegetation),
+            point: vegetation.position.slice(),
+            distance: vec3.distance(this.scene.camera.position, vegetation.position)
+        });
+        return entries;
+    }
+    
+    deleteSelection() {
+        const entries = this.getSelectedEntries();
+        if (!entries) {
+            return;
+        }
+        const island = this.scene.selection.island;
+        this.scene.select(null);
+        this.edit(island, () => {
+            island.vegetation = island.vegetation.filter(veg => !entries.includes(veg));
+        });
+    }
+    
+    recolorSelection(color) {
+        const selection = this.scene.selection;
+        if (!selection || !selection.vegetation) {
+            return;
+        }
+        this.edit(selection.island, () => {
+            selection.vegetation.color = color.slice();
+        });
+        this.scene.updateHud();
+    }
+    
+    // Scale the selected object about its base on the ground
+    scaleSelection(factor) {
+        const entries = this.getSelectedEntries();
+        if (!entries) {
+            return;
+        }
+        const island = this.scene.selection.island;
+        const [anchorX, , anchorZ] = entries[0].position;
+        const ground = island.getSurfaceHeight(anchorX, anchorZ);
+        this.edit(island, () => entries.forEach(veg => {
+            veg.position[0] = anchorX + (veg.position[0] - anchorX) * factor;
+            veg.position[1] = ground + (veg.position[1] - ground) * factor;
+            veg.position[2] = anchorZ + (veg.position[2] - anchorZ) * factor;
+            veg.scale = veg.scale.map(s => s * factor);
+        }));
+        this.scene.updateHud();
+    }
+    
+    // Move the selected object so its base sits on island-local (x, z)
+    moveEntries(island, entries, x, z) {
+        const [anchorX, , anchorZ] = entries[0].position;
+        const rise = island.getSurfaceHeight(x, z) - island.getSurfaceHeight(anchorX, anchorZ);
+        entries.forEach(veg => {
+            veg.position[0] += x - anchorX;
+            veg.position[1] += rise;
+            veg.position[2] += z - anchorZ;
+        });
+    }
+    
+    // Pressing on the selected object starts moving it; returns whether
+    // the editor took the mouse so the camera doesn't orbit
+    handleMouseDown(e) {
+        const entries = this.getSelectedEntries();
+        if (!this.enabled || !entries) {
+            return false;
+        }
+        const result = this.scene.pick(e.clientX, e.clientY);
+        if (!result || !entries.includes(result.vegetation)) {
+            return false;
+        }
+        this.drag = { island: result.island, entries, before: result.island.vegetation.map(copyVegetation) };
+        return true;
+    }
+    
+    handleMouseMove(e) {
+        if (!this.drag) {
+            return;
+        }
+        const { island, entries } = this.drag;
+        const result = this.scene.pick(e.clientX, e.clientY, { islands: [island], vegetation: false });
+        const surfacePoint = result && this.getTopSurfacePoint(island, result.point);
+        if (surfacePoint && island.isOnSurface(surfacePoint[0], surfacePoint[1], 0.3)) {
+            this.moveEntries(island, entries, surfacePoint[0], surfacePoint[1]);
+            this.scene.updateHud();
+        }
+    }
+    
+    handleMouseUp() {
+        if (this.drag) {
+            this.record(this.drag.island, this.drag.before);
+            this.drag = null;
+        }
+    }
+    
+    // Keys while edit mode is on; returns whether the key was used
+    handleKey(key) {
+        if (!this.enabled) {
+            return false;
+        }
+        switch (key) {
+            case '1': this.setTool('tree'); return true;
+            case '2': this.setTool('bush'); return true;
+            case '3': this.setTool('boulder'); return true;
+            case '+':
+            case '=': this.scaleSelection(1.1); return true;
+            case '-': this.scaleSelection(1 / 1.1); return true;
+            case 'delete':
+            case 'backspace': this.deleteSelection(); return true;
+        }
+        return false;
+    }
+}
+
+// Main scene class
+class FloatingIslandScene {
+    constructor(options = {}) {
+        this.gl = gl;
+        this.islands = [];
+        this.bridges = [];
+        this.archipelago = null; // Streamed islands around the camera, see setArchipelago()
+        this.shadowMap = null;
+        this.mainShader = null;
+        this.mainInstancedShader = null;
+        this.time = 0; // Simulation seconds, mirrors clock.time
+        
+        // Drives all animation; ?fixedStep=<seconds> makes runs deterministic
+        this.clock = new Clock();
+        const fixedStep = parseFloat(new URLSearchParams(window.location.search).get('fixedStep'));
+        if (fixedStep > 0) {
+            this.clock.setFixedStep(fixedStep);
+        }
+        this.cameraController = null;
+        this.cameraPresets = {}; // Name -> orbit state
+        this.currentPreset = null; // Last preset flown to with P
+        this.cameraPath = new CameraPath();
+        this.recording = null; // { frame, frames, cancelled } during recordFrames()
+        this.pathPlayback = null; // { time } while the path drives the camera
+        this.pathKeyframeSpacing = 2; // Seconds between keyframes added with K
+        this.lights = [];
+        this.light = null; // The light that orbits with A/D
+        this.warnedShadowLights = false;
+        this.lightRotation = Math.PI / 4;
+        this.lightHeight = 10;
+        this.lightOrbitRadius = 8;
+        this.shadowBias = 0.005; // Depth offset against shadow acne
+        this.shadowsEnabled = true;
+        this.ambientStrength = 1.0; // Scale on the day/night ambient color
+        this.ambientTint = [1, 1, 1];
+        this.wind = new WindField();
+        
+        // Skip what lies outside the camera (main pass) or light (shadow
+        // pass) frustum; cullStats holds the counts of the last frame
+        this.frustumCulling = true;
+        this.cameraFrustum = new Frustum();
+        this.lightFrustum = new Frustum();
+        this.cullStats = { main: null, shadow: null };
+        this.keysPressed = {};
+        
+        // Seed for procedural generation: constructor option, then ?seed=,
+        // then a fresh one. Shown in the HUD so a scene can be reproduced.
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        if (options.seed !== undefined) {
+            this.seed = parseSeed(options.seed);
+        } else if (seedParam !== null) {
+            this.seed = parseSeed(seedParam);
+        } else {
+            this.seed = generateSeed();
+        }
+        this.sceneDescription = null;
+        this.hud = document.getElementById('hud');
+        this.hudText = '';
+        
+        // Time of day; ?time=<hours> starts somewhere else
+        this.dayNight = new DayNightCycle();
+        this.skyRenderer = null;
+        
+        this.particles = null;
+        this.weather = 'none';
+        this.weatherEmitter = null;
+        
+        // Event callbacks by name, see on()
+        this.listeners = {};
+        this.selection = null; // Last pick result shown in the HUD
+        
+        // Shared unit meshes for each vegetation type, colored per piece
+        this.vegetationGeometries = {};
+        this.vegetationRenderer = null;
+        this.vegetationModels = {}; // Scene-file descriptions of models loaded from URLs, by type
+        
+        // Instanced vegetation unless unsupported or disabled with ?instancing=0
+        this.useInstancing = new URLSearchParams(window.location.search).get('instancing') !== '0';
+        
+        // The canvas fills its container at up to maxPixelRatio device
+        // pixels per CSS pixel, scaled down further past maxPixels
+        this.maxPixelRatio = options.maxPixelRatio || 2;
+        this.maxPixels = options.maxPixels || 2560 * 1440;
+        this.needsResize = true;
+        this.screenTargets = []; // Anything with resize(width, height) that follows the canvas size
+        this.postProcessor = null;
+        
+        // Filled in by everything that allocates buffers or draws on gl
+        this.stats = getRenderStats(gl);
+        
+        this.init();
+        this.editor = new IslandEditor(this);
+        this.debug = new DebugOverlay(this);
+        this.settings = new SettingsPanel(this);
+        this.setupEventListeners();
+        
+        // ?scene=<url> replaces the default layout once it has loaded
+        const sceneUrl = new URLSearchParams(window.location.search).get('scene');
+        if (sceneUrl) {
+            this.loadSceneFromURL(sceneUrl);
+        }
+        
+        this.animate();
+    }
+    
+    // options: material and sway for the pieces of this type that
+    // addVegetation and the editor place from now on
+    registerVegetationGeometry(type, geometry, options = {}) {
+        const settings = vegetationModelSettings(options);
+        const previous = this.vegetationGeometries[type];
+        if (previous && previous !== geometry) {
+            previous.dispose();
+        }
+        this.vegetationGeometries[type] = geometry;
+        VEGETATION_MODEL_SETTINGS[type] = settings;
+        if (this.vegetationRenderer) {
+            this.vegetationRenderer.addType(type, geometry);
+        }
+    }
+    
+    getVegetationGeometry(type) {
+        return this.vegetationGeometries[type];
+    }
+    
+    // Load a glTF (.gltf/.glb) or OBJ file as the vegetation type `type`,
+    // for use in addVegetation weights and scene files. Pieces of a type
+    // that hasn't loaded yet are skipped when drawing. options as for
+    // parseModel, plus format when the URL has no telling extension and
+    // material and sway as for registerVegetationGeometry.
+    loadVegetationModel(type, url, options = {}) {
+        vegetationModelSettings(options);
+        const absoluteUrl = new URL(url, window.location.href).href;
+        return fetch(absoluteUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} while fetching ${url}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => parseModel(data, options.format || modelFormat(url), absoluteUrl, options))
+            .then(builder => {
+                this.registerVegetationGeometry(type, builder.build(this.gl), options);
+                this.vegetationModels[type] = Object.assign({ url }, options);
+            });
+    }
+    
+    // A dropped model file becomes the type named after the file. It has
+    // no URL, so scene files saved afterwards don't reference it.
+    loadVegetationModelFromFile(file, options = {}) {
+        const type = file.name.replace(/\.[^.]*$/, '');
+        return file.arrayBuffer()
+            .then(data => parseModel(data, modelFormat(file.name), null, options))
+            .then(builder => {
+                this.registerVegetationGeometry(type, builder.build(this.gl), options);
+                delete this.vegetationModels[type];
+                console.log(`Registered vegetation model "${type}"`);
+                return type;
+            })
+            .catch(error => console.error(`Failed to load vegetation model from ${file.name}:`, error));
+    }
+    
+    // Models listed in a scene file that aren't loaded from the same place yet
+    loadVegetationModels(models = {}) {
+        Object.entries(usableVegetationModels(models)).forEach(([type, { url, ...options }]) => {
+            const current = this.vegetationModels[type];
+            if (current && JSON.stringify(current) === JSON.stringify(Object.assign({ url }, options))) {
+                return;
+            }
+            this.loadVegetationModel(type, url, options)
+                .catch(error => console.error(`Failed to load vegetation model ${type}:`, error));
+        });
+    }
+    
+    init() {
+        const gl = this.gl;
+        
+        // Enable depth testing
+        gl.enable(gl.DEPTH_TEST);
+        gl.enable(gl.CULL_FACE);
+        
+        // Create shaders
+        this.mainShader = new Shader(gl, vertexShaderSource, fragmentShaderSource);
+        
+        let instancing = this.useInstancing ? gl.getExtension('ANGLE_instanced_arrays') : null;
+        if (instancing && gl.getParameter(gl.MAX_VERTEX_ATTRIBS) < INSTANCED_ATTRIBUTE_SLOTS) {
+            console.warn('Too few vertex attributes for instanced vegetation; drawing it piece by piece');
+            instancing = null;
+        }
+        if (instancing) {
+            this.mainInstancedShader = new Shader(gl, withDefines(vertexShaderSource, ['INSTANCED']), fragmentShaderSource);
+            this.vegetationRenderer = new VegetationRenderer(gl, instancing);
+        }
+        
+        // Built-in vegetation meshes
+        this.registerVegetationGeometry('sphere', createSphereGeometry(gl));
+        this.registerVegetationGeometry('cylinder', createCylinderGeometry(gl));
+        
+        // Create shadow map
+        this.shadowMap = new ShadowMap(gl, 1024, 1024);
+        
+        this.skyRenderer = new SkyRenderer(gl);
+        this.particles = new ParticleSystem(gl);
+        
+        // Setup camera
+        this.camera = {
+            position: [0, 5, 15],
+            target: [0, 0, 0],
+            up: [0, 1, 0],
+            fov: 45 * Math.PI / 180,
+            aspect: canvas.clientWidth / canvas.clientHeight || canvas.width / canvas.height,
+            near: 0.1,
+            far: 100.0
+        };
+        this.cameraController = new CameraController(this.camera);
+        
+        // Screen-space effects; ?post=0 renders straight to the canvas
+        this.postProcessor = new PostProcessor(gl, canvas.width, canvas.height);
+        this.postProcessor.enabled = new URLSearchParams(window.location.search).get('post') !== '0';
+        this.screenTargets.push(this.postProcessor);
+        this.resize();
+        
+        this.loadScene(DEFAULT_SCENE);
+        if (new URLSearchParams(window.location.search).get('archipelago') === '1') {
+            this.setArchipelago({});
+        }
+        
+        const timeParam = new URLSearchParams(window.location.search).get('time');
+        if (timeParam !== null && !isNaN(parseFloat(timeParam))) {
+            this.setTimeOfDay(parseFloat(timeParam));
+        }
+    }
+    
+    // Replace islands, camera and lights with the contents of a scene description
+    loadScene(description) {
+        const data = migrateSceneDescription(description);
+        
+        // Build the new lights and islands before touching the current ones
+        // so a bad file leaves the scene as it was
+        const lights = data.lights.map(lightData => Light.fromJSON(lightData));
+        const cameraPath = data.cameraPath ? CameraPath.fromJSON(data.cameraPath) : new CameraPath();
+        const seed = data.seed !== undefined ? parseSeed(data.seed) : this.seed;
+        const weather = data.weather !== undefined ? data.weather : 'none';
+        if (!WEATHER_TYPES.includes(weather)) {
+            throw new Error(`Unknown weather: ${weather}`);
+        }
+        const models = usableVegetationModels(data.models);
+        // Bridges are built later, against the new islands; check their materials now
+        (data.bridges || []).forEach(bridge => resolveMaterial(bridge.material));
+        this.replaceIslands(this.createIslands(data.islands, seed));
+        this.lights = lights;
+        this.light = lights.find(light => light.orbit) || null;
+        this.warnedShadowLights = false;
+        this.seed = seed;
+        this.sceneDescription = data;
+        this.updateHud();
+        
+        const camera = data.camera || {};
+        this.cameraController.applyJSON(camera);
+        if (camera.fov !== undefined) this.camera.fov = camera.fov * Math.PI / 180;
+        if (camera.near !== undefined) this.camera.near = camera.near;
+        if (camera.far !== undefined) this.camera.far = camera.far;
+        
+        this.stopCameraPath();
+        this.cameraPath = cameraPath;
+        
+        if (data.cameraPresets) {
+            this.cameraPresets = {};
+            Object.entries(data.cameraPresets).forEach(([name, orbit]) => {
+                this.cameraPresets[name] = CameraController.orbitFromJSON(orbit);
+            });
+        }
+        
+        const light = data.light || {};
+        if (light.rotation !== undefined) this.lightRotation = light.rotation;
+        if (light.height !== undefined) this.lightHeight = light.height;
+        if (light.orbitRadius !== undefined) this.lightOrbitRadius = light.orbitRadius;
+        
+        this.wind.applyJSON(data.wind || {});
+        
+        const dayNight = data.dayNight || {};
+        if (dayNight.speed !== undefined) this.dayNight.speed = dayNight.speed;
+        if (dayNight.fogDensity !== undefined) this.dayNight.fogDensity = dayNight.fogDensity;
+        if (dayNight.time !== undefined) this.dayNight.setTime(dayNight.time);
+        
+        this.weather = weather;
+        this.createEmitters(data.particles || []);
+        this.createBridges(data.bridges || []);
+        this.setArchipelago(data.archipelago || null);
+        
+        // Only a scene that loaded may replace vegetation types with its models
+        this.loadVegetationModels(models);
+        this.emit('load', data);
+    }
+    
+    // Emitter descriptions refer to islands by index, so they are rebuilt
+    // whenever the islands are
+    createEmitters(descriptions) {
+        this.particles.clear();
+        descriptions.forEach(description => {
+            try {
+                const island = description.island !== undefined ? this.islands[description.island] : null;
+                if (description.island !== undefined && !island) {
+                    throw new Error(`No island ${description.island}`);
+                }
+                this.addEmitter(description, island);
+            } catch (error) {
+                console.warn('Skipping particle emitter:', error.message);
+            }
+        });
+        // clear() also took the old weather emitter
+        this.weatherEmitter = null;
+        this.setWeather(this.weather);
+    }
+    
+    // Stream endless islands around the camera (settings as in
+    // ARCHIPELAGO_DEFAULTS), or stop and free them with null
+    setArchipelago(options) {
+        if (this.archipelago) {
+            this.archipelago.dispose();
+            this.archipelago = null;
+        }
+        if (options) {
+            this.archipelago = new Archipelago(this.gl, options, this.seed);
+        }
+    }
+    
+    // The authored islands followed by the streamed ones. Only authored
+    // islands are picked, edited, exported and saved one by one.
+    getRenderedIslands() {
+        return this.archipelago ? this.islands.concat(this.archipelago.islands) : this.islands;
+    }
+    
+    // Bridges also refer to islands by index and are rebuilt with them
+    createBridges(descriptions) {
+        this.bridges.forEach(bridge => bridge.dispose());
+        this.bridges = [];
+        descriptions.forEach(description => {
+            try {
+                const islands = (description.islands || []).map(index => this.islands[index]);
+                if (islands.length !== 2 || !islands.every(Boolean) || islands[0] === islands[1]) {
+                    throw new Error(`Bridges need two different islands, got ${JSON.stringify(description.islands)}`);
+                }
+                this.bridges.push(RopeBridge.fromJSON(this.gl, description, islands[0], islands[1]));
+            } catch (error) {
+                console.warn('Skipping bridge:', error.message);
+            }
+        });
+    }
+    
+    // Attach a new emitter (description as in a scene file) to an island,
+    // or place it in world space with island = null. Emitters draw from
+    // the scene seed in the order they are added, so a scene and seed
+    // always give the same particles; the trailing 1 keeps these streams
+    // apart from the islands' (see createIslands).
+    addEmitter(options, island = null) {
+        const random = createRandom(hashSeed(this.seed, this.particles.emitters.length, 1));
+        return this.particles.addEmitter(new ParticleEmitter(this.gl, options, island, random));
+    }
+    
+    removeEmitter(emitter) {
+        this.particles.removeEmitter(emitter);
+    }
+    
+    // 'none', 'rain' or 'snow'; weather is a world-space volume emitter
+    setWeather(weather) {
+        if (!WEATHER_TYPES.includes(weather)) {
+            console.warn(`Unknown weather: ${weather}`);
+            return;
+        }
+        if (this.weatherEmitter) {
+            this.removeEmitter(this.weatherEmitter);
+        }
+        this.weather = weather;
+        this.weatherEmitter = weather === 'none' ? null : this.addEmitter({ preset: weather });
+    }
+    
+    // Each island draws from its own stream so editing one island's
+    // vegetation in a scene file doesn't reshuffle the others. If one
+    // fails, the islands already built are freed before the error goes on.
+    createIslands(islandDescriptions, seed) {
+        const islands = [];
+        try {
+            islandDescriptions.forEach((islandData, index) => {
+                islands.push(islandFromJSON(this.gl, islandData, createRandom(hashSeed(seed, index))));
+            });
+        } catch (error) {
+            islands.forEach(island => island.dispose());
+            throw error;
+        }
+        return islands;
+    }
+    
+    replaceIslands(islands) {
+        this.select(null);
+        this.islands.forEach(island => island.dispose());
+        this.islands = islands;
+        this.emit('islands', islands);
+    }
+    
+    // Subscribe to scene events:
+    //   'pick'   (result or null) after every click on the canvas
+    //   'select' (result or null) whenever the selection changes
+    //   'islands' (islands) after the islands were replaced
+    //   'resize' ({ width, height, pixelRatio }) after the backbuffer changed
+    //   'load'   (description) after loadScene() applied a scene description
+    // A result is { island, islandIndex, vegetation, vegetationIndex, point, distance };
+    // vegetation is null when the island itself was hit.
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return this;
+    }
+    
+    off(event, callback) {
+        const callbacks = this.listeners[event] || [];
+        const index = callbacks.indexOf(callback);
+        if (index >= 0) {
+            callbacks.splice(index, 1);
+        }
+        return this;
+    }
+    
+    emit(event, ...args) {
+        (this.listeners[event] || []).slice().forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in '${event}' listener:`, error);
+            }
+        });
+    }
+    
+    getViewMatrix(out = mat4.create()) {
+        return mat4.lookAt(out, this.camera.position, this.camera.target, this.camera.up);
+    }
+    
+    getProjectionMatrix(out = mat4.create(), aspect = this.camera.aspect) {
+        return mat4.perspective(out, this.camera.fov, aspect, this.camera.near, this.camera.far);
+    }
+    
+    // World-space ray through a point on the canvas (client coordinates),
+    // from the near plane (t = 0) to the far plane (t = 1)
+    getPickingRay(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) / rect.width * 2 - 1;
+        const y = 1 - (clientY - rect.top) / rect.height * 2;
+        
+        const viewProjection = mat4.multiply(mat4.create(), this.getProjectionMatrix(), this.getViewMatrix());
+        const inverse = mat4.invert(mat4.create(), viewProjection);
+        const near = vec3.transformMat4(vec3.create(), [x, y, -1], inverse);
+        const far = vec3.transformMat4(vec3.create(), [x, y, 1], inverse);
+        return { origin: near, direction: vec3.subtract(far, far, near) };
+    }
+    
+    // Closest island or vegetation piece under a canvas point, or null.
+    // Options narrow the search to some islands or leave out vegetation.
+    pick(clientX, clientY, { islands = this.islands, vegetation: withVegetation = true } = {}) {
+        const ray = this.getPickingRay(clientX, clientY);
+        const inverse = mat4.create();
+        const localOrigin = vec3.create();
+        const localEnd = vec3.create();
+        const end = vec3.add(vec3.create(), ray.origin, ray.direction);
+        let result = null;
+        
+        // The ray goes to model space unnormalized, so t compares across objects
+        const test = (geometry, modelMatrix, hit) => {
+            if (!geometry || !mat4.invert(inverse, modelMatrix)) {
+                return;
+            }
+            vec3.transformMat4(localOrigin, ray.origin, inverse);
+            vec3.transformMat4(localEnd, end, inverse);
+            const t = geometry.raycast(localOrigin, vec3.subtract(localEnd, localEnd, localOrigin));
+            if (t !== null && (!result || t < result.t)) {
+                result = Object.assign({ t }, hit);
+            }
+        };
+        
+        const matrix = mat4.create();
+        islands.forEach(island => {
+            const islandIndex = this.islands.indexOf(island);
+            test(island.geometry, island.getModelMatrix(matrix), { island, islandIndex, vegetation: null, vegetationIndex: -1 });
+            if (!withVegetation) {
+                return;
+            }
+            island.vegetation.forEach((vegetation, vegetationIndex) => {
+                test(this.getVegetationGeometry(vegetation.type), island.getVegetationMatrix(vegetation, matrix),
+                    { island, islandIndex, vegetation, vegetationIndex });
+            });
+        });
+        
+        if (!result) {
+            return null;
+        }
+        const point = vec3.scaleAndAdd(vec3.create(), ray.origin, ray.direction, result.t);
+        return {
+            island: result.island,
+            islandIndex: result.islandIndex,
+            vegetation: result.vegetation,
+            vegetationIndex: result.vegetationIndex,
+            point: Array.from(point),
+            distance: vec3.distance(this.camera.position, point)
+        };
+    }
+    
+    // Highlight a pick result (or clear with null) and show its properties
+    select(result) {
+        if (this.selection) {
+            this.selection.island.highlighted = false;
+            this.selection.island.highlightedVegetation = null;
+        }
+        this.selection = result;
+        if (result) {
+            if (result.vegetation) {
+                result.island.highlightedVegetation = result.vegetation;
+            } else {
+                result.island.highlighted = true;
+            }
+        }
+        this.updateHud();
+        this.emit('select', result);
+    }
+    
+    describeSelection() {
+        const format = values => `(${values.map(v => v.toFixed(2)).join(', ')})`;
+        const { island, islandIndex, vegetation, vegetationIndex } = this.selection;
+        if (vegetation) {
+            return [
+                `Vegetation ${vegetationIndex} on island ${islandIndex}: ${vegetation.type}`,
+                `  material ${typeof vegetation.material === 'string' ? vegetation.material : 'custom'}`,
+                `  position ${format(vegetation.position)} scale ${format(vegetation.scale)}`,
+                `  color ${format(vegetation.color)}`
+            ].join('\n');
+        }
+        return [
+            `Island ${islandIndex}: ${island.toJSON().type}, ${island.vegetation.length} vegetation pieces`,
+            `  base ${island.baseSize.toFixed(2)} height ${island.height.toFixed(2)} position ${format(island.position)}`,
+            `  float speed ${island.floatSpeed.toFixed(2)} amplitude ${island.floatAmplitude.toFixed(2)}`
+        ].join('\n');
+    }
+    
+    // Regenerate the current layout from another seed, keeping the camera
+    setSeed(seed) {
+        this.seed = parseSeed(seed);
+        // While island indices still resolve
+        const emitters = this.getEmitterDescriptions();
+        const bridges = this.getBridgeDescriptions();
+        this.replaceIslands(this.createIslands(this.sceneDescription.islands, this.seed));
+        this.createEmitters(emitters);
+        this.createBridges(bridges);
+        if (this.archipelago) {
+            this.archipelago.setSeed(this.seed);
         }
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        // Keep the address bar shareable
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', this.seed);
+        window.history.replaceState(null, '', `?${params}`);
         
-        // Create shadow shader
-        this.shader = new Shader(gl, shadowVertexShaderSource, shadowFragmentShaderSource);
+        this.updateHud();
     }
     
-    begin() {
-        const gl = this.gl;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
-        gl.viewport(0, 0, this.width, this.height);
-        gl.clearColor(1.0, 1.0, 1.0, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-        this.shader.use();
+    // 'orbit' or 'fly'
+    setCameraMode(mode) {
+        this.cameraController.setMode(mode);
+        if (mode !== 'fly' && document.pointerLockElement === canvas) {
+            document.exitPointerLock();
+        }
+        this.updateHud();
+        this.emit('cameramode', mode);
     }
     
-    end() {
-        const gl = this.gl;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, canvas.width, canvas.height);
+    getCameraMode() {
+        return this.cameraController.mode;
     }
-}
-
-// Main scene class
-class FloatingIslandScene {
-    constructor() {
-        this.gl = gl;
-        this.islands = [];
-        this.shadowMap = null;
-        this.mainShader = null;
-        this.time = 0;
-        this.cameraAngle = 0;
-        this.cameraDistance = 15;
-        this.cameraX = 0;
-        this.lightRotation = Math.PI / 4;
-        this.keysPressed = {};
-        
-        // Geometry caches
-        this.sphereGeometries = {};
-        this.cylinderGeometries = {};
+    
+    // Ease the camera to a named preset (see cameraPresets in scene files)
+    goToCameraPreset(name, duration = 1.5) {
+        const preset = this.cameraPresets[name];
+        if (!preset) {
+            console.warn(`Unknown camera preset: ${name}`);
+            return;
+        }
+        this.cameraController.tweenTo(preset, duration);
+        this.currentPreset = name;
+        this.updateHud();
+    }
+    
+    // Store the current orbit view under a name
+    saveCameraPreset(name) {
+        this.cameraPresets[name] = this.cameraController.getOrbitState();
+    }
+    
+    // Jump the day/night cycle to a given hour (0-24)
+    setTimeOfDay(hours) {
+        this.dayNight.setTime(hours);
+        this.updateHud();
+    }
+    
+    updateHud() {
+        let text = `Seed: ${this.seed}  Time: ${this.dayNight.formatTime()}  Camera: ${this.getCameraMode()}`;
+        if (this.clock.paused) {
+            text += '  PAUSED';
+        }
+        if (this.recording) {
+            text += `  REC ${this.recording.frame}/${this.recording.frames}`;
+        }
+        if (this.clock.timeScale !== 1) {
+            text += `  x${this.clock.timeScale}`;
+        }
+        const path = this.cameraPath;
+        if (path.keyframes.length > 0) {
+            const progress = this.pathPlayback
+                ? `playing ${path.wrapTime(this.pathPlayback.time).toFixed(1)}/${path.duration.toFixed(1)}s`
+                : `${path.duration.toFixed(1)}s`;
+            text += `\nPath: ${path.keyframes.length} keyframes, ${progress}, ${path.mode}`;
+        }
+        if (this.editor && this.editor.enabled) {
+            text += '\n' + this.editor.describe();
+        }
+        if (this.selection) {
+            text += '\n' + this.describeSelection();
+        }
         
-        this.init();
-        this.setupEventListeners();
-        this.animate();
+        // Only touch the DOM when the text actually changes
+        if (this.hud && text !== this.hudText) {
+            this.hud.textContent = text;
+            this.hudText = text;
+        }
+    }
+    
+    loadSceneFromURL(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} while fetching ${url}`);
+                }
+                return response.json();
+            })
+            .then(data => this.loadScene(data))
+            .catch(error => console.error('Failed to load scene:', error));
+    }
+    
+    // Scene files and camera path files can both be dropped on the canvas
+    loadSceneFromFile(file) {
+        return file.text()
+            .then(text => {
+                const data = JSON.parse(text);
+                if (data && data.type === 'cameraPath') {
+                    this.loadCameraPath(data);
+                } else {
+                    this.loadScene(data);
+                }
+            })
+            .catch(error => console.error(`Failed to load scene from ${file.name}:`, error));
+    }
+    
+    // Scene-file descriptions of the emitters, weather excluded
+    getEmitterDescriptions() {
+        return this.particles.emitters
+            .filter(emitter => emitter !== this.weatherEmitter)
+            .map(emitter => {
+                const description = emitter.toJSON();
+                if (emitter.island) {
+                    description.island = this.islands.indexOf(emitter.island);
+                }
+                return description;
+            });
+    }
+    
+    // Scene-file descriptions of the bridges
+    getBridgeDescriptions() {
+        return this.bridges.map(bridge => Object.assign({
+            islands: bridge.islands.map(island => this.islands.indexOf(island))
+        }, bridge.toJSON()));
     }
     
-    getSphereGeometry(color) {
-        const key = color.join(',');
-        if (!this.sphereGeometries[key]) {
-            this.sphereGeometries[key] = createSphereGeometry(this.gl, color);
+    toJSON() {
+        const data = {
+            version: SCENE_FORMAT_VERSION,
+            seed: this.seed,
+            camera: Object.assign(this.cameraController.toJSON(), {
+                fov: this.camera.fov * 180 / Math.PI,
+                near: this.camera.near,
+                far: this.camera.far
+            }),
+            cameraPath: this.cameraPath.toJSON(),
+            models: JSON.parse(JSON.stringify(this.vegetationModels)),
+            cameraPresets: Object.fromEntries(Object.entries(this.cameraPresets)
+                .map(([name, orbit]) => [name, CameraController.orbitToJSON(orbit)])),
+            light: {
+                rotation: this.lightRotation,
+                height: this.lightHeight,
+                orbitRadius: this.lightOrbitRadius
+            },
+            dayNight: this.dayNight.toJSON(),
+            wind: this.wind.toJSON(),
+            weather: this.weather,
+            particles: this.getEmitterDescriptions(),
+            bridges: this.getBridgeDescriptions(),
+            lights: this.lights.map(light => light.toJSON()),
+            islands: this.islands.map(island => island.toJSON())
+        };
+        if (this.archipelago) {
+            data.archipelago = this.archipelago.toJSON();
         }
-        return this.sphereGeometries[key];
+        return data;
     }
     
-    getCylinderGeometry(color) {
-        const key = color.join(',');
-        if (!this.cylinderGeometries[key]) {
-            this.cylinderGeometries[key] = createCylinderGeometry(this.gl, color);
+    saveScene(filename = 'floating_islands.json') {
+        downloadFile(filename, JSON.stringify(this, null, 2), 'application/json');
+    }
+    
+    // Download the islands as .glb, or as .gltf with embedded buffers
+    exportGLTF({ binary = true, filename = binary ? 'floating_islands.glb' : 'floating_islands.gltf' } = {}) {
+        const exporter = new GLTFExporter(this);
+        if (binary) {
+            downloadFile(filename, new Blob([exporter.toGLB()], { type: 'model/gltf-binary' }));
+        } else {
+            downloadFile(filename, exporter.toGLTF(), 'model/gltf+json');
         }
-        return this.cylinderGeometries[key];
     }
     
-    init() {
-        const gl = this.gl;
-        
-        // Enable depth testing
-        gl.enable(gl.DEPTH_TEST);
-        gl.enable(gl.CULL_FACE);
-        
-        // Create shaders
-        this.mainShader = new Shader(gl, vertexShaderSource, fragmentShaderSource);
-        
-        // Create shadow map
-        this.shadowMap = new ShadowMap(gl, 1024, 1024);
-        
-        // Create islands with distinct colors
-        const island1 = new PyramidIsland(gl, 3.0, 4.0);
-        island1.position = [-4, 0, 0];
-        island1.floatSpeed = 0.4;
-        island1.floatAmplitude = 0.08;
-        island1.groundColor = [0.2, 0.7, 0.3];  // Bright green grass
-        island1.dirtColor = [0.45, 0.3, 0.15]; // Brown dirt
-        island1.addVegetation(12);
-        this.islands.push(island1);
-        
-        const island2 = new PyramidIsland(gl, 2.5, 3.5);
-        island2.position = [4, 0, 0];
-        island2.floatSpeed = 0.6;
-        island2.floatAmplitude = 0.12;
-        island2.groundColor = [0.25, 0.65, 0.25]; // Darker green grass
-        island2.dirtColor = [0.5, 0.35, 0.2];    // Lighter brown dirt
-        island2.addVegetation(10);
-        this.islands.push(island2);
-        
-        // Setup camera
-        this.camera = {
-            position: [0, 5, 15],
-            target: [0, 0, 0],
-            up: [0, 1, 0],
-            fov: 45 * Math.PI / 180,
-            aspect: canvas.width / canvas.height,
-            near: 0.1,
-            far: 100.0
-        };
+    // Download the islands as an OBJ and its MTL
+    exportOBJ(basename = 'floating_islands') {
+        const { obj, mtl } = new OBJExporter(this).build(`${basename}.mtl`);
+        downloadFile(`${basename}.obj`, obj, 'text/plain');
+        downloadFile(`${basename}.mtl`, mtl, 'text/plain');
+    }
+    
+    // Record the current view (and orbit light) as the next keyframe;
+    // without a time it lands pathKeyframeSpacing after the last one
+    addCameraKeyframe(time, easing = 'easeInOut') {
+        const path = this.cameraPath;
+        if (time === undefined) {
+            time = path.keyframes.length > 0 ? path.duration + this.pathKeyframeSpacing : 0;
+        }
+        const keyframe = path.addKeyframe({
+            time,
+            position: this.camera.position,
+            target: this.camera.target,
+            lightRotation: this.lightRotation,
+            easing
+        });
+        this.updateHud();
+        return keyframe;
+    }
+    
+    // Playback runs on simulation time, so fixed-step mode replays exactly
+    playCameraPath(fromTime = 0) {
+        if (this.cameraPath.keyframes.length < 2) {
+            console.warn('A camera path needs at least two keyframes');
+            return;
+        }
+        this.pathPlayback = { time: fromTime };
+        this.emit('pathstart', this.cameraPath);
+    }
+    
+    stopCameraPath() {
+        if (!this.pathPlayback) {
+            return;
+        }
+        this.pathPlayback = null;
         
-        // Setup light (spotlight)
-        this.light = {
-            position: [0, 10, 5],
-            target: [0, 0, 0],
-            up: [0, 1, 0],
-            fov: 60 * Math.PI / 180,
-            near: 1.0,
-            far: 25.0
-        };
+        // Continue orbiting or flying from wherever the path left off
+        this.cameraController.syncToCamera();
+        this.updateHud();
+        this.emit('pathend', this.cameraPath);
+    }
+    
+    setCameraPathMode(mode) {
+        if (!CameraPath.MODES.includes(mode)) {
+            console.warn(`Unknown camera path mode: ${mode}`);
+            return;
+        }
+        this.cameraPath.mode = mode;
+        this.updateHud();
+    }
+    
+    loadCameraPath(data) {
+        this.stopCameraPath();
+        this.cameraPath = CameraPath.fromJSON(data);
+        this.updateHud();
+    }
+    
+    saveCameraPath(filename = 'camera_path.json') {
+        downloadFile(filename, JSON.stringify(this.cameraPath, null, 2), 'application/json');
     }
     
     setupEventListeners() {
+        // Resize at the start of the next frame rather than mid-frame;
+        // window resizes also cover devicePixelRatio changes from zooming
+        const requestResize = () => {
+            this.needsResize = true;
+        };
+        if (window.ResizeObserver) {
+            new ResizeObserver(requestResize).observe(canvas);
+        }
+        window.addEventListener('resize', requestResize);
+        document.addEventListener('fullscreenchange', requestResize);
+        
         let isDragging = false;
+        let isPanning = false;
         let lastX = 0;
+        let lastY = 0;
+        let dragDistance = 0;
+        const controller = this.cameraController;
         
         canvas.addEventListener('mousedown', (e) => {
+            // Fly mode looks around with a captured mouse
+            if (controller.mode === 'fly') {
+                if (document.pointerLockElement !== canvas) {
+                    canvas.requestPointerLock();
+                }
+                return;
+            }
+            
+            // In edit mode, pressing on the selected piece moves it instead
+            if (this.editor.handleMouseDown(e)) {
+                return;
+            }
             isDragging = true;
+            isPanning = e.button === 2 || e.shiftKey;
             lastX = e.clientX;
+            lastY = e.clientY;
+            dragDistance = 0;
+        });
+        
+        canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault(); // Right-drag pans
         });
         
         canvas.addEventListener('mousemove', (e) => {
+            if (controller.mode === 'fly') {
+                if (document.pointerLockElement === canvas) {
+                    controller.look(-e.movementX * 0.0025, -e.movementY * 0.0025);
+                }
+                return;
+            }
+            
+            this.editor.handleMouseMove(e);
             if (!isDragging) return;
             
             const deltaX = e.clientX - lastX;
+            const deltaY = e.clientY - lastY;
             lastX = e.clientX;
+            lastY = e.clientY;
+            dragDistance += Math.abs(deltaX) + Math.abs(deltaY);
             
-            // Rotate camera around scene
-            this.cameraAngle += deltaX * 0.01;
+            if (isPanning) {
+                // Move the target so the scene follows the cursor
+                const scale = controller.orbit.distance * 0.0015;
+                controller.pan(-deltaX * scale, deltaY * scale);
+            } else {
+                // Rotate camera around scene
+                controller.rotate(-deltaX * 0.01, deltaY * 0.01);
+            }
         });
         
-        canvas.addEventListener('mouseup', () => {
+        canvas.addEventListener('mouseup', (e) => {
+            if (this.editor.drag) {
+                this.editor.handleMouseUp();
+                return;
+            }
+            if (!isDragging) return;
             isDragging = false;
+            
+            // A click rather than an orbit drag picks
+            if (e.button === 0 && dragDistance < 4) {
+                const result = this.pick(e.clientX, e.clientY);
+                this.emit('pick', result);
+                if (this.editor.enabled) {
+                    this.editor.handleClick(result);
+                } else {
+                    this.select(result);
+                }
+            }
         });
         
         canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const zoomSpeed = 0.1;
-            this.cameraDistance += e.deltaY * zoomSpeed;
-            this.cameraDistance = Math.max(5, Math.min(30, this.cameraDistance));
+            controller.zoom(Math.exp(e.deltaY * 0.001));
+        });
+        
+        // Touch: one finger pans, two fingers orbit (midpoint) and pinch-zoom
+        let touches = [];
+        const readTouches = (e) => Array.from(e.touches).map(touch => [touch.clientX, touch.clientY]);
+        canvas.addEventListener('touchstart', (e) => {
+            touches = readTouches(e);
+        }, { passive: true });
+        
+        canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const next = readTouches(e);
+            if (controller.mode === 'orbit' && next.length === touches.length) {
+                if (next.length === 1) {
+                    const scale = controller.orbit.distance * 0.0015;
+                    controller.pan(-(next[0][0] - touches[0][0]) * scale, (next[0][1] - touches[0][1]) * scale);
+                } else if (next.length === 2) {
+                    const midpoint = points => [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2];
+                    const spread = points => Math.hypot(points[0][0] - points[1][0], points[0][1] - points[1][1]);
+                    const [x0, y0] = midpoint(touches);
+                    const [x1, y1] = midpoint(next);
+                    controller.rotate(-(x1 - x0) * 0.01, (y1 - y0) * 0.01);
+                    if (spread(next) > 0) {
+                        controller.zoom(spread(touches) / spread(next));
+                    }
+                }
+            }
+            touches = next;
+        }, { passive: false });
+        
+        canvas.addEventListener('touchend', (e) => {
+            touches = readTouches(e);
+        });
+        
+        // Drag and drop a scene file onto the canvas to load it
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file && /\.(gltf|glb|obj)$/i.test(file.name)) {
+                this.loadVegetationModelFromFile(file);
+            } else if (file) {
+                this.loadSceneFromFile(file);
+            }
         });
         
         // Keyboard controls
         window.addEventListener('keydown', (e) => {
+            // Leave keys to the panel's sliders and pickers while they have focus
+            if (e.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+                return;
+            }
+            
+            // Ctrl/Cmd+S saves the scene instead of the page, with Shift the camera path
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.saveCameraPath();
+                } else {
+                    this.saveScene();
+                }
+                return;
+            }
+            
+            // Ctrl/Cmd+E exports a .glb, with Shift an OBJ/MTL pair
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'e') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.exportOBJ();
+                } else {
+                    this.exportGLTF();
+                }
+                return;
+            }
+            
+            // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes editor actions
+            if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+                e.preventDefault();
+                if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+                    this.editor.redo();
+                } else {
+                    this.editor.undo();
+                }
+                return;
+            }
+            
             this.keysPressed[e.key.toLowerCase()] = true;
             
+            if (!e.repeat) {
+                this.handleKeyCommand(e.key.toLowerCase());
+            }
+            
             // Prevent default behavior for arrow keys to avoid scrolling
-            if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright'].includes(e.key.toLowerCase())) {
+            if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', ' '].includes(e.key.toLowerCase())) {
                 e.preventDefault();
             }
         });
@@ -770,149 +6995,649 @@ class FloatingIslandScene {
         });
     }
     
-    updateCamera() {
-        // Calculate camera position based on spherical coordinates with cameraX offset
-        const camX = Math.sin(this.cameraAngle) * this.cameraDistance + this.cameraX;
-        const camZ = Math.cos(this.cameraAngle) * this.cameraDistance;
-        this.camera.position = [camX, 5, camZ];
-        this.camera.target = [this.cameraX, 0, 0];
+    // One-shot key commands (held keys are polled in handleInput)
+    handleKeyCommand(key) {
+        if (this.editor.handleKey(key)) {
+            return;
+        }
+        // WASD and Q/E steer in fly mode
+        if (this.getCameraMode() === 'fly' && ['w', 'a', 's', 'd', 'q', 'e'].includes(key)) {
+            return;
+        }
+        switch (key) {
+            case 'b':
+                this.editor.setEnabled(!this.editor.enabled);
+                break;
+            case ' ':
+                this.clock.togglePause();
+                break;
+            case 'k':
+                this.addCameraKeyframe();
+                break;
+            case 'f':
+                this.setFullscreen(!this.isFullscreen());
+                break;
+            case 'x':
+                this.postProcessor.enabled = !this.postProcessor.enabled;
+                this.settings.sync();
+                break;
+            case 'o':
+                this.debug.setEnabled(!this.debug.enabled);
+                this.settings.sync();
+                break;
+            case 'h':
+                this.settings.setVisible(!this.settings.visible);
+                break;
+            case 'g':
+                this.captureScreenshot({ width: canvas.width * 2, height: canvas.height * 2 })
+                    .catch(error => console.error('Screenshot failed:', error));
+                break;
+            case 'v':
+                if (this.recording) {
+                    this.recording.cancelled = true;
+                } else {
+                    this.recordFrames({ frames: 360, fps: 30, format: 'webm', turntable: 360 })
+                        .catch(error => console.error('Recording failed:', error));
+                }
+                break;
+            case 'l':
+                if (this.pathPlayback) {
+                    this.stopCameraPath();
+                } else {
+                    this.playCameraPath();
+                }
+                break;
+            case 'j': {
+                const modes = CameraPath.MODES;
+                this.setCameraPathMode(modes[(modes.indexOf(this.cameraPath.mode) + 1) % modes.length]);
+                break;
+            }
+            case 'n':
+                this.clock.step();
+                break;
+            case ',':
+                this.clock.setTimeScale(this.clock.timeScale / 2);
+                break;
+            case '.':
+                this.clock.setTimeScale(Math.max(this.clock.timeScale * 2, 1 / 64));
+                break;
+            case 'c':
+                this.setCameraMode(this.getCameraMode() === 'fly' ? 'orbit' : 'fly');
+                break;
+            case 'p': {
+                const names = Object.keys(this.cameraPresets);
+                if (names.length > 0) {
+                    this.goToCameraPreset(names[(names.indexOf(this.currentPreset) + 1) % names.length]);
+                }
+                break;
+            }
+            case 'i':
+                this.setArchipelago(this.archipelago ? null : {});
+                break;
+            case 'r':
+                // Reroll the procedural content
+                this.setSeed(generateSeed());
+                break;
+            case '[':
+                this.dayNight.speed /= 2;
+                break;
+            case ']':
+                this.dayNight.speed = Math.max(this.dayNight.speed * 2, 0.01);
+                break;
+            case 'escape':
+                this.select(null);
+                break;
+            case 'w': {
+                this.setWeather(WEATHER_TYPES[(WEATHER_TYPES.indexOf(this.weather) + 1) % WEATHER_TYPES.length]);
+                break;
+            }
+            case 't': {
+                // Next of dawn, noon, dusk, midnight
+                const next = (Math.floor(this.dayNight.timeOfDay / 6) + 1) * 6;
+                this.setTimeOfDay(next);
+                break;
+            }
+        }
+    }
+    
+    updateCamera(dt) {
+        this.cameraController.update(dt);
+        
+        // A playing path overrides the interactive camera
+        if (this.pathPlayback) {
+            const state = this.cameraPath.sample(this.pathPlayback.time);
+            this.camera.position = state.position;
+            this.camera.target = state.target;
+            if (state.lightRotation !== undefined) {
+                this.lightRotation = state.lightRotation;
+            }
+            if (this.cameraPath.isFinished(this.pathPlayback.time)) {
+                this.stopCameraPath();
+            }
+        }
+    }
+    
+    // Match the backbuffer to the canvas's displayed size. Everything sized
+    // after the screen (viewport, camera aspect, screen targets) changes here.
+    resize() {
+        this.needsResize = false;
+        const gl = this.gl;
+        const cssWidth = canvas.clientWidth || canvas.width;
+        const cssHeight = canvas.clientHeight || canvas.height;
+        
+        let ratio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio);
+        if (cssWidth * cssHeight * ratio * ratio > this.maxPixels) {
+            ratio = Math.sqrt(this.maxPixels / (cssWidth * cssHeight));
+        }
+        const maxSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        const width = Math.max(1, Math.min(maxSize, Math.round(cssWidth * ratio)));
+        const height = Math.max(1, Math.min(maxSize, Math.round(cssHeight * ratio)));
         
-        // Update camera aspect ratio
-        this.camera.aspect = canvas.width / canvas.height;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        this.camera.aspect = width / height;
+        this.screenTargets.forEach(target => target.resize(width, height));
+        this.emit('resize', { width, height, pixelRatio: ratio });
+    }
+    
+    // An offscreen target kept at the canvas size by resize()
+    createScreenTarget() {
+        const target = new RenderTarget(this.gl, canvas.width, canvas.height);
+        this.screenTargets.push(target);
+        return target;
+    }
+    
+    disposeScreenTarget(target) {
+        const index = this.screenTargets.indexOf(target);
+        if (index >= 0) {
+            this.screenTargets.splice(index, 1);
+        }
+        target.dispose();
+    }
+    
+    isFullscreen() {
+        return document.fullscreenElement === document.documentElement;
+    }
+    
+    // Fullscreen the whole page so the HUD and panels stay visible
+    setFullscreen(enabled) {
+        if (enabled === this.isFullscreen()) {
+            return Promise.resolve();
+        }
+        const request = enabled ? document.documentElement.requestFullscreen() : document.exitFullscreen();
+        return request.catch(error => console.warn('Fullscreen change refused:', error.message));
     }
     
     updateLight() {
+        if (!this.light) {
+            return;
+        }
+        
         // Calculate light position based on rotation
-        const lightX = Math.sin(this.lightRotation) * 8;
-        const lightZ = Math.cos(this.lightRotation) * 8;
-        this.light.position = [lightX, 10, lightZ];
+        const lightX = Math.sin(this.lightRotation) * this.lightOrbitRadius;
+        const lightZ = Math.cos(this.lightRotation) * this.lightOrbitRadius;
+        this.light.position = [lightX, this.lightHeight, lightZ];
         this.light.target = [0, 0, 0];
     }
     
-    handleInput() {
-        const speed = 0.05;
+    // dt in real seconds, so the controls still work while paused
+    handleInput(dt) {
+        const keys = this.keysPressed;
+        const controller = this.cameraController;
+        
+        if (controller.mode === 'fly') {
+            // Arrows turn, WASD moves, Q/E sink and rise
+            const turn = 1.5 * dt;
+            const step = controller.flySpeed * dt;
+            if (keys['arrowleft']) controller.look(turn, 0);
+            if (keys['arrowright']) controller.look(-turn, 0);
+            if (keys['arrowup']) controller.look(0, turn);
+            if (keys['arrowdown']) controller.look(0, -turn);
+            controller.move(
+                ((keys['w'] ? 1 : 0) - (keys['s'] ? 1 : 0)) * step,
+                ((keys['d'] ? 1 : 0) - (keys['a'] ? 1 : 0)) * step,
+                ((keys['e'] ? 1 : 0) - (keys['q'] ? 1 : 0)) * step);
+            return;
+        }
         
         // Camera rotation (← →)
-        if (this.keysPressed['arrowleft']) this.cameraAngle -= speed;
-        if (this.keysPressed['arrowright']) this.cameraAngle += speed;
+        if (keys['arrowleft']) controller.rotate(-3 * dt, 0);
+        if (keys['arrowright']) controller.rotate(3 * dt, 0);
         
         // Camera zoom (↑ ↓)
-        if (this.keysPressed['arrowup']) {
-            this.cameraDistance -= speed * 2;
-            this.cameraDistance = Math.max(5, this.cameraDistance);
-        }
-        if (this.keysPressed['arrowdown']) {
-            this.cameraDistance += speed * 2;
-            this.cameraDistance = Math.min(30, this.cameraDistance);
-        }
+        if (keys['arrowup']) controller.zoom(Math.exp(-dt));
+        if (keys['arrowdown']) controller.zoom(Math.exp(dt));
         
-        // Camera horizontal movement (Q/E)
-        if (this.keysPressed['q']) this.cameraX -= speed * 2;
-        if (this.keysPressed['e']) this.cameraX += speed * 2;
+        // Camera panning (Q/E)
+        if (keys['q']) controller.pan(-6 * dt, 0);
+        if (keys['e']) controller.pan(6 * dt, 0);
         
         // Light rotation (A/D) - changes shadows
-        if (this.keysPressed['a']) this.lightRotation -= speed;
-        if (this.keysPressed['d']) this.lightRotation += speed;
+        if (keys['a']) this.lightRotation -= 3 * dt;
+        if (keys['d']) this.lightRotation += 3 * dt;
     }
     
+    // Animation follows the clock's simulation time; input and the camera
+    // use real time so they keep working while paused
     update() {
-        this.time += 0.01;
-        this.handleInput();
+        const dt = this.clock.delta;
+        const realDt = this.clock.realDelta;
+        this.time = this.clock.time;
+        if (!this.recording) {
+            this.handleInput(realDt);
+        }
+        
+        // Stream archipelago chunks around the camera, clear of the authored islands
+        if (this.archipelago) {
+            this.archipelago.update(this.camera.position, this.islands);
+        }
         
-        // Update islands with floating animation
-        this.islands.forEach(island => {
+        // Update islands with floating animation, their bounds with them
+        const getVegetationGeometry = type => this.getVegetationGeometry(type);
+        const windReach = this.wind.strength * (1 + this.wind.gustiness);
+        this.getRenderedIslands().forEach(island => {
             island.update(this.time);
+            island.updateBounds(getVegetationGeometry, windReach);
         });
         
+        // Bridges follow their islands' new positions
+        this.bridges.forEach(bridge => bridge.update());
+        
+        // Advance the sun and let it drive the sun lights
+        this.dayNight.update(dt);
+        this.lights.filter(light => light.sun).forEach(light => this.dayNight.applyToLight(light));
+        this.updateHud();
+        
+        this.particles.update(dt);
+        
+        if (this.pathPlayback) {
+            this.pathPlayback.time += dt;
+        }
+        
         // Update camera and light positions
-        this.updateCamera();
+        this.updateCamera(realDt);
         this.updateLight();
     }
     
+    // The single light that renders into the ShadowMap
+    getShadowLight() {
+        if (!this.shadowsEnabled) {
+            return null;
+        }
+        const casters = this.lights.filter(light => light.castShadow);
+        if (casters.length > 1 && !this.warnedShadowLights) {
+            console.warn(`${casters.length} lights have castShadow set; only the first gets the shadow map`);
+            this.warnedShadowLights = true;
+        }
+        return casters[0] || null;
+    }
+    
+    // Change any of the wind's direction, strength, gustiness and turbulence
+    setWind(options) {
+        this.wind.applyJSON(options);
+        this.settings.sync();
+    }
+    
+    // The day/night ambient light, scaled by the ambient settings
+    getAmbientColor() {
+        return this.dayNight.state.ambientColor.map((c, i) => c * this.ambientTint[i] * this.ambientStrength);
+    }
+    
+    getLightMatrices(light) {
+        return {
+            lightViewMatrix: light.getViewMatrix(),
+            lightProjectionMatrix: light.getProjectionMatrix()
+        };
+    }
+    
+    // Pack the scene lights into the uniform arrays of the main shader
+    setLightUniforms(shader, shadowLight) {
+        const gl = this.gl;
+        const lights = this.lights.slice(0, MAX_LIGHTS);
+        const types = new Int32Array(MAX_LIGHTS);
+        const positions = new Float32Array(MAX_LIGHTS * 3);
+        const directions = new Float32Array(MAX_LIGHTS * 3);
+        const colors = new Float32Array(MAX_LIGHTS * 3);
+        const attenuations = new Float32Array(MAX_LIGHTS * 3);
+        const cones = new Float32Array(MAX_LIGHTS * 2);
+        
+        lights.forEach((light, i) => {
+            types[i] = light.typeIndex;
+            positions.set(light.position, i * 3);
+            directions.set(light.getDirection(), i * 3);
+            colors.set(light.color.map(c => c * light.intensity), i * 3);
+            attenuations.set(light.attenuation, i * 3);
+            cones.set([Math.cos(light.innerAngle), Math.cos(light.outerAngle)], i * 2);
+        });
+        
+        gl.uniform1i(shader.getUniformLocation('uLightCount'), lights.length);
+        gl.uniform1iv(shader.getUniformLocation('uLightType'), types);
+        gl.uniform3fv(shader.getUniformLocation('uLightPosition'), positions);
+        gl.uniform3fv(shader.getUniformLocation('uLightDirection'), directions);
+        gl.uniform3fv(shader.getUniformLocation('uLightColor'), colors);
+        gl.uniform3fv(shader.getUniformLocation('uLightAttenuation'), attenuations);
+        gl.uniform2fv(shader.getUniformLocation('uLightCone'), cones);
+        gl.uniform1i(shader.getUniformLocation('uShadowLight'), lights.indexOf(shadowLight));
+    }
+    
+    // Instanced and non-instanced variants of a pass share their uniforms
+    forEachShader(shaders, callback) {
+        shaders.filter(Boolean).forEach(shader => {
+            shader.use();
+            callback(shader);
+        });
+    }
+    
+    // What a pass draws: the islands and bridges whose bounds reach into
+    // the frustum and the set of vegetation pieces that do. A culled
+    // island culls all of its vegetation. Objects without bounds yet (just
+    // loaded) are kept, and everything is with frustumCulling off.
+    cull(frustum) {
+        const inside = bounds => !this.frustumCulling || !bounds || frustum.intersectsBox(bounds.min, bounds.max);
+        const all = this.getRenderedIslands();
+        const islands = all.filter(island => inside(island.bounds));
+        const bridges = this.bridges.filter(bridge => inside(bridge.geometry.getBounds()));
+        const vegetation = new Set();
+        islands.forEach(island => island.vegetation.forEach(veg => {
+            if (inside(veg.bounds)) {
+                vegetation.add(veg);
+            }
+        }));
+        
+        const vegetationCount = all.reduce((sum, island) => sum + island.vegetation.length, 0);
+        const stats = {
+            islands: islands.length,
+            islandsCulled: all.length - islands.length,
+            bridges: bridges.length,
+            bridgesCulled: this.bridges.length - bridges.length,
+            vegetation: vegetation.size,
+            vegetationCulled: vegetationCount - vegetation.size
+        };
+        return { islands, bridges, vegetation, stats };
+    }
+    
+    // One instanced draw per mesh type, or per-piece draws without the
+    // extension, of the vegetation that survived culling
+    drawVegetation(shader, instancedShader, visible) {
+        const isVisible = veg => visible.vegetation.has(veg);
+        if (this.vegetationRenderer) {
+            this.vegetationRenderer.collect(visible.islands, isVisible);
+            this.vegetationRenderer.draw(instancedShader);
+        } else {
+            visible.islands.forEach(island => island.drawVegetation(shader, this, isVisible));
+        }
+    }
+    
     renderShadowPass() {
         const gl = this.gl;
         const shadowShader = this.shadowMap.shader;
+        const shadowLight = this.getShadowLight();
+        if (!shadowLight) {
+            this.cullStats.shadow = null;
+            return;
+        }
         
         this.shadowMap.begin();
-        shadowShader.use();
         
         // Set light view and projection matrices
-        const lightViewMatrix = mat4.create();
-        mat4.lookAt(lightViewMatrix, this.light.position, this.light.target, this.light.up);
-        
-        const lightProjectionMatrix = mat4.create();
-        mat4.perspective(lightProjectionMatrix, this.light.fov, 1.0, this.light.near, this.light.far);
-        
-        gl.uniformMatrix4fv(shadowShader.getUniformLocation('uLightViewMatrix'), false, lightViewMatrix);
-        gl.uniformMatrix4fv(shadowShader.getUniformLocation('uLightProjectionMatrix'), false, lightProjectionMatrix);
-        
-        // Draw islands and their vegetation to shadow map
-        this.islands.forEach(island => {
-            // Draw the island itself
-            island.draw(shadowShader);
-            
-            // Draw vegetation on this island
-            island.drawVegetation(shadowShader, this);
+        const { lightViewMatrix, lightProjectionMatrix } = this.getLightMatrices(shadowLight);
+        this.forEachShader([shadowShader, this.shadowMap.instancedShader], shader => {
+            gl.uniformMatrix4fv(shader.getUniformLocation('uLightViewMatrix'), false, lightViewMatrix);
+            gl.uniformMatrix4fv(shader.getUniformLocation('uLightProjectionMatrix'), false, lightProjectionMatrix);
+            this.wind.setUniforms(gl, shader, this.time);
         });
         
+        // Draw the islands, bridges and vegetation the light sees to shadow map
+        const lightViewProjection = mat4.multiply(mat4.create(), lightProjectionMatrix, lightViewMatrix);
+        const visible = this.cull(this.lightFrustum.setFromMatrix(lightViewProjection));
+        this.cullStats.shadow = visible.stats;
+        visible.islands.forEach(island => island.draw(shadowShader));
+        visible.bridges.forEach(bridge => bridge.draw(shadowShader));
+        this.drawVegetation(shadowShader, this.shadowMap.instancedShader, visible);
+        
         this.shadowMap.end();
     }
     
-    renderMainPass() {
+    renderMainPass(projectionMatrix = this.getProjectionMatrix()) {
         const gl = this.gl;
         
-        // Clear with sky blue background
-        gl.clearColor(0.53, 0.81, 0.92, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        const sky = this.dayNight.state;
         
-        this.mainShader.use();
+        // Clear to the horizon color, then paint the sky over it
+        gl.clearColor(sky.horizonColor[0], sky.horizonColor[1], sky.horizonColor[2], 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         
-        // Set view and projection matrices
-        const viewMatrix = mat4.create();
-        mat4.lookAt(viewMatrix, this.camera.position, this.camera.target, this.camera.up);
+        const viewMatrix = this.getViewMatrix();
         
-        const projectionMatrix = mat4.create();
-        mat4.perspective(projectionMatrix, this.camera.fov, this.camera.aspect, this.camera.near, this.camera.far);
+        this.skyRenderer.draw(viewMatrix, projectionMatrix, this.dayNight, this.time);
         
         // Set light view and projection matrices for shadow mapping
-        const lightViewMatrix = mat4.create();
-        mat4.lookAt(lightViewMatrix, this.light.position, this.light.target, this.light.up);
+        const shadowLight = this.getShadowLight();
+        const { lightViewMatrix, lightProjectionMatrix } = shadowLight
+            ? this.getLightMatrices(shadowLight)
+            : { lightViewMatrix: mat4.create(), lightProjectionMatrix: mat4.create() };
+        
+        // Bind shadow map texture
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.shadowMap.depthSource);
         
-        const lightProjectionMatrix = mat4.create();
-        mat4.perspective(lightProjectionMatrix, this.light.fov, 1.0, this.light.near, this.light.far);
+        const ambientColor = this.getAmbientColor();
         
         // Set uniforms
-        gl.uniformMatrix4fv(this.mainShader.getUniformLocation('uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(this.mainShader.getUniformLocation('uProjectionMatrix'), false, projectionMatrix);
-        gl.uniformMatrix4fv(this.mainShader.getUniformLocation('uLightViewMatrix'), false, lightViewMatrix);
-        gl.uniformMatrix4fv(this.mainShader.getUniformLocation('uLightProjectionMatrix'), false, lightProjectionMatrix);
-        gl.uniform3fv(this.mainShader.getUniformLocation('uLightPosition'), this.light.position);
-        gl.uniform1f(this.mainShader.getUniformLocation('uShadowBias'), 0.005);
+        this.forEachShader([this.mainShader, this.mainInstancedShader], shader => {
+            gl.uniformMatrix4fv(shader.getUniformLocation('uViewMatrix'), false, viewMatrix);
+            gl.uniformMatrix4fv(shader.getUniformLocation('uProjectionMatrix'), false, projectionMatrix);
+            gl.uniform3fv(shader.getUniformLocation('uCameraPosition'), this.camera.position);
+            gl.uniform3fv(shader.getUniformLocation('uAmbientColor'), ambientColor);
+            gl.uniform3fv(shader.getUniformLocation('uFogColor'), sky.horizonColor);
+            gl.uniform1f(shader.getUniformLocation('uFogDensity'), this.dayNight.fogDensity);
+            gl.uniformMatrix4fv(shader.getUniformLocation('uLightViewMatrix'), false, lightViewMatrix);
+            gl.uniformMatrix4fv(shader.getUniformLocation('uLightProjectionMatrix'), false, lightProjectionMatrix);
+            this.setLightUniforms(shader, shadowLight);
+            gl.uniform1f(shader.getUniformLocation('uShadowBias'), this.shadowBias);
+            gl.uniform1i(shader.getUniformLocation('uShadowMap'), 0);
+            gl.uniform1i(shader.getUniformLocation('uShadowDepthTexture'), this.shadowMap.usesDepthTexture);
+            gl.uniform2f(shader.getUniformLocation('uShadowMapSize'), this.shadowMap.width, this.shadowMap.height);
+            this.wind.setUniforms(gl, shader, this.time);
+        });
         
-        // Bind shadow map texture
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.shadowMap.texture);
-        gl.uniform1i(this.mainShader.getUniformLocation('uShadowMap'), 0);
+        // Draw the islands (with correct grass/dirt colors), bridges and
+        // vegetation in view
+        const viewProjection = mat4.multiply(mat4.create(), projectionMatrix, viewMatrix);
+        const visible = this.cull(this.cameraFrustum.setFromMatrix(viewProjection));
+        this.cullStats.main = visible.stats;
+        Geometry.wireframe = this.debug.wireframe;
+        visible.islands.forEach(island => island.draw(this.mainShader));
+        visible.bridges.forEach(bridge => bridge.draw(this.mainShader));
+        this.drawVegetation(this.mainShader, this.mainInstancedShader, visible);
+        Geometry.wireframe = false;
         
-        // Draw islands and their vegetation
-        this.islands.forEach(island => {
-            // Draw the island itself (with correct grass/dirt colors)
-            island.draw(this.mainShader);
-            
-            // Draw vegetation on this island
-            island.drawVegetation(this.mainShader, this);
+        // Blended particles last, lit by the ambient and sun colors
+        this.particles.draw(viewMatrix, projectionMatrix, {
+            tint: ambientColor.map((c, i) => Math.min(1, c + sky.lightColor[i])),
+            fogColor: sky.horizonColor,
+            fogDensity: this.dayNight.fogDensity
         });
     }
     
-    animate() {
-        this.update();
+    // Shadow pass, main pass and post-processing into output (a
+    // RenderTarget, or null for the canvas)
+    render(output = null, projectionMatrix = this.getProjectionMatrix(), postProcess = this.postProcessor.enabled) {
         this.renderShadowPass();
-        this.renderMainPass();
-        requestAnimationFrame(() => this.animate());
+        const mainTarget = postProcess ? this.postProcessor.sceneTarget : output;
+        if (mainTarget) {
+            mainTarget.bind();
+        }
+        this.renderMainPass(projectionMatrix);
+        if (postProcess) {
+            this.postProcessor.render(output);
+        }
+    }
+    
+    // Render the current state offscreen at any size into a 2D canvas.
+    // Sizes beyond the GPU's limits are rendered in tiles, each with the
+    // projection cropped to its part of the view. Screen-space effects
+    // would show seams between tiles, so tiled images skip post-processing.
+    renderToImage(width, height) {
+        const gl = this.gl;
+        const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), 4096);
+        const tileWidth = Math.min(width, maxSize);
+        const tileHeight = Math.min(height, maxSize);
+        const target = new RenderTarget(gl, tileWidth, tileHeight);
+        if (!target.complete) {
+            target.dispose();
+            throw new Error(`Cannot render ${tileWidth}x${tileHeight} offscreen`);
+        }
+        const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+        const tiled = tileWidth < width || tileHeight < height;
+        const postProcess = this.postProcessor.enabled && !tiled;
+        if (this.postProcessor.enabled && tiled) {
+            console.warn(`Post-processing skipped: ${width}x${height} is rendered in tiles`);
+        }
+        if (postProcess) {
+            this.postProcessor.resize(width, height);
+        }
+        
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        
+        const projection = this.getProjectionMatrix(mat4.create(), width / height);
+        const tileProjection = mat4.create();
+        const crop = mat4.create();
+        
+        try {
+            // Tiles are laid out bottom-up like GL's window coordinates
+            for (let y = 0; y < height; y += tileHeight) {
+                for (let x = 0; x < width; x += tileWidth) {
+                    const w = Math.min(tileWidth, width - x);
+                    const h = Math.min(tileHeight, height - y);
+                    
+                    // Stretch this tile's NDC rectangle over the whole viewport
+                    const x0 = x / width * 2 - 1;
+                    const x1 = (x + w) / width * 2 - 1;
+                    const y0 = y / height * 2 - 1;
+                    const y1 = (y + h) / height * 2 - 1;
+                    mat4.identity(crop);
+                    crop[0] = 2 / (x1 - x0);
+                    crop[5] = 2 / (y1 - y0);
+                    crop[12] = -(x1 + x0) / (x1 - x0);
+                    crop[13] = -(y1 + y0) / (y1 - y0);
+                    mat4.multiply(tileProjection, crop, projection);
+                    
+                    target.resize(w, h);
+                    this.render(target, tileProjection, postProcess);
+                    target.bind();
+                    gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                    
+                    // GL rows run bottom-up, canvas rows top-down
+                    const image = context.createImageData(w, h);
+                    for (let row = 0; row < h; row++) {
+                        image.data.set(pixels.subarray((h - 1 - row) * w * 4, (h - row) * w * 4), row * w * 4);
+                    }
+                    context.putImageData(image, x, height - y - h);
+                }
+            }
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+            target.dispose();
+            if (postProcess) {
+                this.postProcessor.resize(canvas.width, canvas.height);
+            }
+        }
+        return output;
+    }
+    
+    // Save the current frame as a PNG, by default at the canvas size
+    async captureScreenshot({ width = canvas.width, height = canvas.height, filename } = {}) {
+        const blob = await canvasToBlob(this.renderToImage(width, height));
+        downloadFile(filename || `floating_islands_${width}x${height}.png`, blob);
+        return blob;
+    }
+    
+    // Offline capture: step the simulation exactly 1/fps per frame and
+    // write every frame, however long rendering takes. 'png' writes a
+    // numbered sequence at width x height; 'webm' records the canvas.
+    // turntable spins the orbit camera by that many degrees over the run.
+    async recordFrames({
+        frames = 120, fps = 30, width = canvas.width, height = canvas.height,
+        format = 'png', turntable = 0, prefix = 'frame'
+    } = {}) {
+        if (this.recording) {
+            throw new Error('Already recording');
+        }
+        if (format !== 'png' && format !== 'webm') {
+            throw new Error(`Unknown capture format: ${format}`);
+        }
+        
+        const clock = this.clock;
+        const saved = { fixedStep: clock.fixedStep, paused: clock.paused };
+        const writer = format === 'webm'
+            ? new WebMWriter(canvas, fps, `${prefix}.webm`)
+            : await PngSequenceWriter.create(prefix);
+        clock.setFixedStep(1 / fps);
+        clock.resume();
+        this.recording = { frame: 0, frames, cancelled: false };
+        
+        try {
+            let timestamp = clock.lastTimestamp !== null ? clock.lastTimestamp : 0;
+            for (let i = 0; i < frames && !this.recording.cancelled; i++) {
+                // Synthetic timestamps keep the camera's real-time easing deterministic too
+                timestamp += 1000 / fps;
+                clock.tick(timestamp);
+                if (turntable) {
+                    const orbit = this.cameraController.getOrbitState();
+                    orbit.yaw += turntable * Math.PI / 180 / frames;
+                    this.cameraController.setOrbitState(orbit);
+                }
+                this.update();
+                
+                if (format === 'webm') {
+                    this.render();
+                    await writer.addFrame();
+                } else {
+                    await writer.addFrame(await canvasToBlob(this.renderToImage(width, height)), i + 1);
+                }
+                this.recording.frame = i + 1;
+                this.updateHud();
+            }
+            await writer.finish();
+        } finally {
+            clock.fixedStep = saved.fixedStep;
+            clock.paused = saved.paused;
+            clock.lastTimestamp = null; // Don't count the recording as one long frame
+            this.recording = null;
+            this.updateHud();
+        }
+    }
+    
+    animate(timestamp) {
+        // recordFrames() steps and renders on its own schedule
+        if (!this.recording) {
+            if (this.needsResize) {
+                this.resize();
+            }
+            this.stats.beginFrame(performance.now());
+            this.clock.tick(timestamp);
+            this.update();
+            this.render();
+            if (this.debug.enabled) {
+                this.debug.draw();
+            }
+            this.stats.endFrame(performance.now());
+        }
+        requestAnimationFrame(timestamp => this.animate(timestamp));
     }
 }
 
 // Initialize scene when page loads
+// Exposed as window.scene for the console and other tools, e.g.
+// scene.on('pick', ...) or scene.recordFrames({ ... })
 window.addEventListener('load', () => {
-    new FloatingIslandScene();
+    window.scene = new FloatingIslandScene();
 });
\ No newline at end of file